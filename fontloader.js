@@ -0,0 +1,328 @@
+/**
+ * Single-line font loading
+ *
+ * Fonts from font-library/ are parsed into the same glyph form as the
+ * built-in stroke font: { advance, paths } on a 10 unit cap height with the
+ * baseline at y=0 and y pointing up. Curves are flattened to polylines here
+ * so the generator only ever traces straight strokes.
+ *
+ * Supported formats:
+ *  - Hershey JHF: one glyph per record, consecutive character codes
+ *  - SVG fonts: <glyph unicode=".." horiz-adv-x=".." d=".."/> elements
+ */
+
+import { getGlyph as getBuiltinGlyph } from './strokefont.js';
+
+const CAP_HEIGHT = 10;
+const CURVE_STEP = 0.25; // Chord length in cap units when flattening curves
+
+const fonts = new Map();
+
+fonts.set('', { name: 'Built-in Stroke', getGlyph: getBuiltinGlyph });
+
+export function registerFont(id, font) {
+    fonts.set(id, font);
+}
+
+/**
+ * Returns the font registered under id, or null if it isn't loaded.
+ * An empty id is the built-in font.
+ */
+export function getFont(id = '') {
+    return fonts.get(id || '') || null;
+}
+
+/**
+ * Parses a Hershey .jhf file. Records are "NNNNNCCC" (glyph number, vertex
+ * count) followed by the left/right bearing pair and the vertices, two
+ * characters each, offset from 'R'. " R" lifts the pen. Long records wrap
+ * onto following lines.
+ * @param {number} firstChar - Character code of the first record (32 for the standard sets)
+ */
+export function parseJHF(text, name, firstChar = 32) {
+    const records = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        if (current && current.data.length < current.count * 2) {
+            current.data += line;
+            return;
+        }
+        if (line.trim() === '') return;
+        current = { count: parseInt(line.slice(5, 8), 10), data: line.slice(8) };
+        records.push(current);
+    });
+
+    const raw = records.map(rec => {
+        const coord = (i) => rec.data.charCodeAt(i) - 82; // 'R'
+        const glyph = { left: coord(0), right: coord(1), strokes: [] };
+        let stroke = [];
+        for (let i = 2; i + 1 < rec.data.length; i += 2) {
+            if (rec.data[i] === ' ' && rec.data[i + 1] === 'R') {
+                if (stroke.length > 1) glyph.strokes.push(stroke);
+                stroke = [];
+                continue;
+            }
+            stroke.push({ x: coord(i), y: coord(i + 1) });
+        }
+        if (stroke.length > 1) glyph.strokes.push(stroke);
+        return glyph;
+    });
+
+    // Hershey sets differ in size; measure the cap height on 'H'
+    const ref = raw['H'.charCodeAt(0) - firstChar];
+    let top = -12;
+    let baseline = 9;
+    if (ref && ref.strokes.length > 0) {
+        const ys = ref.strokes.flat().map(pt => pt.y);
+        top = Math.min(...ys);
+        baseline = Math.max(...ys);
+    }
+    const scale = CAP_HEIGHT / (baseline - top);
+
+    const glyphs = new Map();
+    raw.forEach((g, i) => {
+        glyphs.set(String.fromCharCode(firstChar + i), {
+            advance: (g.right - g.left) * scale,
+            paths: g.strokes.map(stroke => stroke.map(pt => ({
+                x: (pt.x - g.left) * scale,
+                y: (baseline - pt.y) * scale // JHF y grows down
+            })))
+        });
+    });
+
+    return { name, getGlyph: (char) => glyphs.get(char) || null };
+}
+
+/**
+ * Parses an SVG font (as used by single-line engraving fonts such as the
+ * Hershey Text / EMS sets). Works on the markup directly so it doesn't need
+ * a DOM.
+ */
+export function parseSVGFont(text, name) {
+    const attr = (tag, key) => {
+        const m = tag.match(new RegExp(`\\s${key}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+        return m ? decodeEntities(m[2] !== undefined ? m[2] : m[3]) : null;
+    };
+
+    const fontTag = (text.match(/<font[\s>][^>]*>/) || [''])[0];
+    const faceTag = (text.match(/<font-face[\s>][^>]*>/) || [''])[0];
+    const defaultAdvance = parseFloat(attr(fontTag, 'horiz-adv-x')) || 0;
+    const unitsPerEm = parseFloat(attr(faceTag, 'units-per-em')) || 1000;
+
+    const glyphTags = text.match(/<glyph[\s>][^>]*>/g) || [];
+    const source = new Map();
+    glyphTags.forEach(tag => {
+        const unicode = attr(tag, 'unicode');
+        if (unicode === null || unicode === '') return;
+        const adv = attr(tag, 'horiz-adv-x');
+        source.set(unicode, {
+            advance: adv !== null ? parseFloat(adv) : defaultAdvance,
+            d: attr(tag, 'd') || ''
+        });
+    });
+
+    // Cap height from the font-face if given, else measured on 'H'
+    let capHeight = parseFloat(attr(faceTag, 'cap-height'));
+    if (!capHeight && source.has('H')) {
+        const ys = flattenPath(source.get('H').d, unitsPerEm / 100).flat().map(pt => pt.y);
+        if (ys.length > 0) capHeight = Math.max(...ys) - Math.min(0, ...ys);
+    }
+    if (!capHeight) capHeight = unitsPerEm * 0.7;
+    const scale = CAP_HEIGHT / capHeight;
+
+    const glyphs = new Map();
+    source.forEach((g, char) => {
+        glyphs.set(char, {
+            advance: g.advance * scale,
+            paths: flattenPath(g.d, CURVE_STEP / scale)
+                .map(path => path.map(pt => ({ x: pt.x * scale, y: pt.y * scale })))
+        });
+    });
+
+    return { name, getGlyph: (char) => glyphs.get(char) || null };
+}
+
+function decodeEntities(s) {
+    return s
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Flattens SVG path data into polylines. Lines stay as they are, curves and
+ * arcs are split into chords of roughly `step` length.
+ */
+function flattenPath(d, step) {
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const paths = [];
+    let path = null;
+    let cur = { x: 0, y: 0 };
+    let start = { x: 0, y: 0 };
+    let lastCtrl = null; // Reflected for S/T
+    let cmd = '';
+    let i = 0;
+
+    const num = () => parseFloat(tokens[i++]);
+    const lineTo = (pt) => {
+        if (!path) {
+            path = [{ ...cur }];
+            paths.push(path);
+        }
+        path.push(pt);
+        cur = pt;
+    };
+    const steps = (len) => Math.min(64, Math.max(2, Math.ceil(len / step)));
+    const cubic = (c1, c2, end) => {
+        const n = steps(Math.hypot(c1.x - cur.x, c1.y - cur.y) + Math.hypot(c2.x - c1.x, c2.y - c1.y) + Math.hypot(end.x - c2.x, end.y - c2.y));
+        const p0 = cur;
+        for (let k = 1; k <= n; k++) {
+            const t = k / n;
+            const u = 1 - t;
+            lineTo({
+                x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+                y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y
+            });
+        }
+    };
+    const quad = (c, end) => {
+        const n = steps(Math.hypot(c.x - cur.x, c.y - cur.y) + Math.hypot(end.x - c.x, end.y - c.y));
+        const p0 = cur;
+        for (let k = 1; k <= n; k++) {
+            const t = k / n;
+            const u = 1 - t;
+            lineTo({
+                x: u * u * p0.x + 2 * u * t * c.x + t * t * end.x,
+                y: u * u * p0.y + 2 * u * t * c.y + t * t * end.y
+            });
+        }
+    };
+    const arc = (rx, ry, rotation, largeArc, sweepFlag, end) => {
+        // Endpoint to centre parameterisation (SVG spec F.6.5)
+        if (rx === 0 || ry === 0) {
+            lineTo(end);
+            return;
+        }
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (cur.x - end.x) / 2;
+        const dy = (cur.y - end.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        const num2 = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        let k = Math.sqrt(Math.max(0, num2 / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+        if (largeArc === sweepFlag) k = -k;
+        const cx1 = k * rx * y1 / ry;
+        const cy1 = -k * ry * x1 / rx;
+        const cx = cos * cx1 - sin * cy1 + (cur.x + end.x) / 2;
+        const cy = sin * cx1 + cos * cy1 + (cur.y + end.y) / 2;
+        const a0 = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+        let sweep = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - a0;
+        if (sweepFlag && sweep < 0) sweep += Math.PI * 2;
+        if (!sweepFlag && sweep > 0) sweep -= Math.PI * 2;
+
+        const n = steps(Math.abs(sweep) * Math.max(rx, ry));
+        for (let s = 1; s <= n; s++) {
+            if (s === n) {
+                lineTo(end);
+                break;
+            }
+            const a = a0 + sweep * s / n;
+            const ex = rx * Math.cos(a);
+            const ey = ry * Math.sin(a);
+            lineTo({ x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+        }
+    };
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+        const rel = cmd === cmd.toLowerCase();
+        const ox = rel ? cur.x : 0;
+        const oy = rel ? cur.y : 0;
+
+        switch (cmd.toUpperCase()) {
+            case 'M': {
+                cur = { x: ox + num(), y: oy + num() };
+                start = { ...cur };
+                path = null;
+                // Further pairs after a moveto are implicit linetos
+                cmd = rel ? 'l' : 'L';
+                lastCtrl = null;
+                break;
+            }
+            case 'L':
+                lineTo({ x: ox + num(), y: oy + num() });
+                lastCtrl = null;
+                break;
+            case 'H':
+                lineTo({ x: ox + num(), y: cur.y });
+                lastCtrl = null;
+                break;
+            case 'V':
+                lineTo({ x: cur.x, y: oy + num() });
+                lastCtrl = null;
+                break;
+            case 'C': {
+                const c1 = { x: ox + num(), y: oy + num() };
+                const c2 = { x: ox + num(), y: oy + num() };
+                const end = { x: ox + num(), y: oy + num() };
+                cubic(c1, c2, end);
+                lastCtrl = { type: 'C', pt: c2 };
+                break;
+            }
+            case 'S': {
+                const c1 = lastCtrl && lastCtrl.type === 'C' ? { x: 2 * cur.x - lastCtrl.pt.x, y: 2 * cur.y - lastCtrl.pt.y } : { ...cur };
+                const c2 = { x: ox + num(), y: oy + num() };
+                const end = { x: ox + num(), y: oy + num() };
+                cubic(c1, c2, end);
+                lastCtrl = { type: 'C', pt: c2 };
+                break;
+            }
+            case 'Q': {
+                const c = { x: ox + num(), y: oy + num() };
+                const end = { x: ox + num(), y: oy + num() };
+                quad(c, end);
+                lastCtrl = { type: 'Q', pt: c };
+                break;
+            }
+            case 'T': {
+                const c = lastCtrl && lastCtrl.type === 'Q' ? { x: 2 * cur.x - lastCtrl.pt.x, y: 2 * cur.y - lastCtrl.pt.y } : { ...cur };
+                const end = { x: ox + num(), y: oy + num() };
+                quad(c, end);
+                lastCtrl = { type: 'Q', pt: c };
+                break;
+            }
+            case 'A': {
+                const rx = num();
+                const ry = num();
+                const rotation = num();
+                const largeArc = num() !== 0;
+                const sweepFlag = num() !== 0;
+                arc(rx, ry, rotation, largeArc, sweepFlag, { x: ox + num(), y: oy + num() });
+                lastCtrl = null;
+                break;
+            }
+            case 'Z':
+                if (path) lineTo({ ...start });
+                path = null;
+                cur = { ...start };
+                lastCtrl = null;
+                break;
+            default:
+                // Unknown command: skip its numbers
+                i++;
+        }
+    }
+
+    return paths.filter(p => p.length > 1);
+}
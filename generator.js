@@ -2,13 +2,40 @@
  * G-Code Generator Logic
  */
 
+import { PostProcessor } from './postprocessor.js';
+import { getFont } from './fontloader.js';
+import { layoutText } from './textlayout.js';
+import { offsetPolygon, offsetRegion, resolvePolygons, splitRegion, medialAxis, startNearest, ensureCCW, polygonArea, polygonPerimeter, arcSegments, segmentsCross, regularPolygon, starPolygon, ellipsePolygon } from './geometry.js';
+
+// Shapes built from dimension inputs beyond the square/rectangle/circle basics.
+// Their tabs are placed by angle (side + % for the rounded rectangle).
+const PARAMETRIC_SHAPES = ['roundrect', 'ellipse', 'polygon', 'slot', 'star'];
+
+// Stock materials that climb cut when the cut direction is 'auto'. Metals and
+// plastics climb for a clean, cool cut; wood and sheet goods cut conventional,
+// which doesn't pull a belt-driven machine into the work.
+const CLIMB_MATERIALS = ['aluminium', 'brass', 'plastic', 'acrylic'];
+
 export class GCodeGenerator {
     constructor() {
         this.params = {};
+        this.contourCache = new Map();
+        this.post = new PostProcessor();
+        this.warnings = []; // Problems found by the last generate()/generateJob()
+        this.stats = { textTimeSaved: 0 }; // Figures for the simulator panel
+        this.arrayOffset = { x: 0, y: 0 }; // Shift of the array copy being cut
+    }
+
+    /**
+     * Selects the controller dialect (see postprocessor.js). GRBL by default.
+     */
+    setPostProcessor(id, overrides = {}) {
+        this.post = new PostProcessor(id, overrides);
     }
 
     setParams(params) {
         this.params = params;
+        this.contourCache.clear();
     }
 
     /**
@@ -17,23 +44,326 @@ export class GCodeGenerator {
     generate() {
         const p = this.params;
         const lines = [];
+        this.warnings = [];
+        this.stats = { textTimeSaved: 0 };
 
         // Header
         lines.push(`; OpenGCodeGen - ${p.shape} Operation`);
-        lines.push(`; Tool Dia: ${p.toolDiameter}mm | Depth: ${p.targetDepth}mm`);
+        lines.push(`; Tool Dia: ${this.post.describeLength(p.toolDiameter)} | Depth: ${this.post.describeLength(p.targetDepth)}`);
+        if (p.toolType === 'vbit') lines.push(`; Tool: ${this.describeTool(this.getTool(p))}`);
         lines.push(`; Origin: ${p.origin || 'center'}`);
         if (p.enableTabs) lines.push(`; Tabs Enabled: ${p.tabs.length} tabs`);
-        lines.push('G21 ; Units in mm');
-        lines.push('G90 ; Absolute positioning');
+        const schedule = this.describeStepDown(p);
+        if (schedule) lines.push(schedule);
+        lines.push(...this.post.preamble);
         lines.push(`M3 S${p.spindleSpeed} ; Spindle on`);
         
         // Initial Safe Z
         lines.push(`${this.getRapidZ(p.safeZ)} ; Move to safe Z`);
 
+        this.generateArray(lines, p);
+
+        // Footer
+        lines.push(`${this.getRapidZ(p.safeZ)} ; Retract`);
+        lines.push(...this.post.postamble);
+
+        return this.post.format(lines);
+    }
+
+    /**
+     * Generates one program from an ordered list of operations.
+     * Each entry is a full params object (shape, opType, depth, tool...).
+     * One header/footer, a safe retract between operations, and a pause
+     * for a tool change whenever the tool changes.
+     */
+    generateJob(operations) {
+        if (!operations || operations.length === 0) return '';
+        const lines = [];
+        this.warnings = [];
+        this.stats = { textTimeSaved: 0 };
+        const first = operations[0];
+        this.setParams(first);
+
+        // Header
+        lines.push(`; OpenGCodeGen - Job (${operations.length} operations)`);
+        lines.push(`; Origin: ${first.origin || 'center'}`);
+        lines.push(...this.post.preamble);
+        lines.push(`M3 S${first.spindleSpeed} ; Spindle on`);
+        lines.push(`${this.getRapidZ(first.safeZ)} ; Move to safe Z`);
+
+        let prev = null;
+        this.spindleTool = this.getTool(first);
+        operations.forEach((op, i) => {
+            this.setParams(op);
+            const tool = this.getTool(op);
+
+            lines.push(`; ===== Operation ${i + 1}: ${op.name || `${op.opType} - ${op.shape}`} =====`);
+            lines.push(`; Tool Dia: ${this.post.describeLength(op.toolDiameter)} | Depth: ${this.post.describeLength(op.targetDepth)}`);
+            if (op.enableTabs && op.opType === 'contour') lines.push(`; Tabs Enabled: ${op.tabs.length} tabs`);
+            const schedule = this.describeStepDown(op);
+            if (schedule) lines.push(schedule);
+
+            // Compared with what is in the spindle: an operation can change tools itself
+            if (prev && !this.sameTool(this.spindleTool, tool)) {
+                this.pushToolChange(lines, tool, Math.max(prev.safeZ, op.safeZ), op.spindleSpeed);
+            } else if (prev && prev.spindleSpeed !== op.spindleSpeed) {
+                lines.push(`M3 S${op.spindleSpeed} ; Spindle speed`);
+            }
+
+            this.generateArray(lines, op);
+
+            lines.push(`${this.getRapidZ(op.safeZ)} ; End of operation ${i + 1}`);
+            prev = op;
+        });
+
+        // Footer
+        lines.push(`${this.getRapidZ(prev.safeZ)} ; Retract`);
+        lines.push(...this.post.postamble);
+
+        return this.post.format(lines);
+    }
+
+    /**
+     * Rows for flattening the whole bed of a machine, in mm from machine
+     * home. `surface` holds the machine profile, the surfacing bit diameter,
+     * overlap (%), total depth, depth per pass and the clearance kept from
+     * the travel limits. The bit centre stays inside the travel, so the
+     * covered area is the travel less the clearance plus the bit radius.
+     * Returns null when the clearance leaves nothing to cut.
+     */
+    getSurfacingPlan(surface) {
+        const m = surface.machine;
+        const d = surface.toolDiameter;
+        const margin = Math.max(0, surface.margin || 0);
+        const spanX = m.travelX - 2 * margin;
+        const spanY = m.travelY - 2 * margin;
+        if (!(d > 0) || !(spanX >= 0) || !(spanY >= 0)) return null;
+
+        // Away from home: a right-hand home cuts towards -X, a back home towards -Y
+        const sx = /right/.test(m.homeCorner) ? -1 : 1;
+        const sy = /back/.test(m.homeCorner) ? -1 : 1;
+
+        // Rows share the span evenly, so the overlap never drops below the request
+        const step = Math.max(0.01, d * (1 - (surface.overlap || 0) / 100));
+        const gaps = Math.max(1, Math.ceil(spanY / step - 1e-9));
+        const rows = [];
+        for (let i = 0; i <= gaps; i++) rows.push(sy * (margin + spanY * i / gaps));
+
+        const levels = [];
+        const passDepth = surface.passDepth > 0 ? surface.passDepth : surface.depth;
+        let z = 0;
+        while (z > -surface.depth + 1e-9) {
+            z = Math.max(z - passDepth, -surface.depth);
+            levels.push(z);
+        }
+
+        // Covered rectangle in unsigned distances from home, clipped to the bed
+        const r = d / 2;
+        const covered = {
+            x0: Math.max(0, margin - r), x1: Math.min(m.travelX, m.travelX - margin + r),
+            y0: Math.max(0, margin - r), y1: Math.min(m.travelY, m.travelY - margin + r)
+        };
+
+        return { x0: sx * margin, x1: sx * (m.travelX - margin), rows, levels, sx, sy, covered, stepover: spanY / gaps };
+    }
+
+    /**
+     * Full-bed facing program for surfacing the spoilboard. It ignores the
+     * shape and the job origin: work X/Y zero is put at machine home and Z
+     * zero is the spoilboard surface. Feeds, speeds and safe Z come from the
+     * current params.
+     */
+    generateSurfacing(surface) {
+        const p = this.params;
+        const m = surface.machine;
+        const lines = [];
+        this.warnings = [];
+        this.stats = { textTimeSaved: 0 };
+
+        const plan = this.getSurfacingPlan(surface);
+        if (!plan) {
+            this.warnings.push('Surfacing: the edge clearance leaves no area to cut');
+            return '';
+        }
+        if (!this.post.supports('G10')) {
+            this.warnings.push(`Surfacing: ${this.post.name} cannot set work zero with G10; jog to home and zero X/Y by hand`);
+        }
+
+        const len = (v) => this.post.describeLength(v);
+        lines.push('; OpenGCodeGen - Spoilboard Surfacing');
+        lines.push(`; Machine: ${m.name} (${len(m.travelX)} x ${len(m.travelY)} travel, homes ${m.homeCorner})`);
+        lines.push(`; Surfacing Bit: ${len(surface.toolDiameter)} | Overlap: ${surface.overlap}% | Depth: ${len(surface.depth)}`);
+        lines.push(`; Covered: ${len(plan.covered.x1 - plan.covered.x0)} x ${len(plan.covered.y1 - plan.covered.y0)}, ${plan.rows.length} rows per pass, ${plan.levels.length} pass(es)`);
+        lines.push('; Home the machine and touch off Z on the spoilboard before running');
+        lines.push(...this.post.preamble);
+        lines.push('G10 L20 P1 X0 Y0 ; Work X/Y zero at machine home');
+        lines.push(`M3 S${p.spindleSpeed} ; Spindle on`);
+        lines.push(`${this.getRapidZ(p.safeZ)} ; Move to safe Z`);
+
+        plan.levels.forEach((z, pass) => {
+            lines.push(`; Surfacing pass ${pass + 1} at Z${this.post.describeCoord(z, 3)}`);
+            lines.push(this.getRapidXY(plan.x0, plan.rows[0]));
+            lines.push(`G1 Z${z.toFixed(3)} F${p.plungeRate}`);
+
+            // Zig-zag along X, stepping away from home in Y
+            plan.rows.forEach((y, i) => {
+                const [from, to] = i % 2 === 0 ? [plan.x0, plan.x1] : [plan.x1, plan.x0];
+                if (i > 0) lines.push(`G1 X${from.toFixed(3)} Y${y.toFixed(3)} F${p.feedRate}`);
+                lines.push(`G1 X${to.toFixed(3)} Y${y.toFixed(3)} F${p.feedRate}`);
+            });
+            lines.push(`${this.getRapidZ(p.safeZ)} ; Retract`);
+        });
+
+        // Park back at home so the bed is clear to inspect
+        lines.push(`${this.getRapidXY(0, 0)} ; Return to home`);
+        lines.push(...this.post.postamble);
+
+        return this.post.format(lines);
+    }
+
+    /**
+     * Cutter description from a params object.
+     */
+    getTool(p) {
+        if (p.toolType === 'vbit') {
+            return { type: 'vbit', diameter: p.toolDiameter, angle: p.vbitAngle || 60, tip: p.vbitTip || 0 };
+        }
+        return { type: 'endmill', diameter: p.toolDiameter };
+    }
+
+    sameTool(a, b) {
+        return a.type === b.type && a.diameter === b.diameter && a.angle === b.angle && a.tip === b.tip;
+    }
+
+    describeTool(tool) {
+        if (tool.type === 'vbit') {
+            return `${tool.angle}deg V-bit, ${this.post.describeLength(tool.diameter)} dia, ${this.post.describeLength(tool.tip)} tip`;
+        }
+        return this.post.describeLength(tool.diameter);
+    }
+
+    // Manual tool change: stop, wait for the operator, restart
+    pushToolChange(lines, tool, safeZ, spindleSpeed) {
+        lines.push(`${this.getRapidZ(safeZ)} ; Retract for tool change`);
+        lines.push('M5 ; Spindle off');
+        lines.push(`M0 ; Change tool to ${this.describeTool(tool)}, re-zero Z, then resume`);
+        lines.push(`M3 S${spindleSpeed} ; Spindle on`);
+        this.spindleTool = tool;
+    }
+
+    /**
+     * Emits an operation once for every copy in its array (just once without
+     * one), retracting between copies. getTranslation shifts each copy.
+     */
+    generateArray(lines, p) {
+        const copies = this.getArrayOffsets(p);
+        if (copies.length < 2) {
+            this.generateOperation(lines, p);
+            return;
+        }
+        const overruns = this.getArrayOverruns(p);
+        if (overruns.length) this.warnings.push(`Array: ${overruns.length === 1 ? 'copy' : 'copies'} ${overruns.join(', ')} run off the stock`);
+
+        lines.push(`; Array: ${copies.length} copies`);
+        copies.forEach((off, i) => {
+            if (i > 0) lines.push(this.getRapidZ(p.safeZ));
+            lines.push(`; Copy ${i + 1} of ${copies.length} at X${this.post.describeCoord(off.x, 3)} Y${this.post.describeCoord(off.y, 3)}`);
+            this.arrayOffset = off;
+            this.generateOperation(lines, p);
+        });
+        this.arrayOffset = { x: 0, y: 0 };
+    }
+
+    /**
+     * Where each copy of an arrayed part goes, as offsets from the part as
+     * drawn, in cutting order (nearest next). A 'grid' is rows x columns at
+     * the given pitch, a 'circular' array N copies on a circle, keeping
+     * their orientation. Either is centred where the part is drawn, so the
+     * stock stays centred on the work. No array is one copy at 0, 0.
+     */
+    getArrayOffsets(p = this.params) {
+        const offsets = [];
+        if (p.arrayType === 'grid') {
+            const rows = Math.max(1, Math.round(p.arrayRows || 1));
+            const cols = Math.max(1, Math.round(p.arrayCols || 1));
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    offsets.push({ x: (c - (cols - 1) / 2) * (p.arrayPitchX || 0), y: (r - (rows - 1) / 2) * (p.arrayPitchY || 0) });
+                }
+            }
+        } else if (p.arrayType === 'circular') {
+            const count = Math.max(1, Math.round(p.arrayCount || 1));
+            const start = (p.arrayStartAngle || 0) * Math.PI / 180;
+            for (let i = 0; i < count; i++) {
+                const a = start + (i / count) * Math.PI * 2;
+                offsets.push({ x: (p.arrayRadius || 0) * Math.cos(a), y: (p.arrayRadius || 0) * Math.sin(a) });
+            }
+        }
+        return offsets.length > 1 ? this.orderByNearest(offsets) : [{ x: 0, y: 0 }];
+    }
+
+    /**
+     * Array copies (numbered in cutting order) whose footprint - the part,
+     * plus the tool on outside cuts - doesn't fit on the stock.
+     */
+    getArrayOverruns(p = this.params) {
+        if (!(p.stockWidth > 0) || !(p.stockHeight > 0)) return [];
+        const box = this.getPartBounds(p);
+        const eps = 0.001;
+        const over = [];
+        this.getArrayOffsets(p).forEach((off, i) => {
+            if (box.minX + off.x < -p.stockWidth / 2 - eps || box.maxX + off.x > p.stockWidth / 2 + eps ||
+                box.minY + off.y < -p.stockHeight / 2 - eps || box.maxY + off.y > p.stockHeight / 2 + eps) {
+                over.push(i + 1);
+            }
+        });
+        return over;
+    }
+
+    /**
+     * Extent of one part relative to the stock centre, grown by the tool
+     * radius where the tool runs outside or along the outline, and by the
+     * overhang of facing passes.
+     */
+    getPartBounds(p = this.params) {
+        const outline = this.getShapeOutline(p.shape);
+        const box = outline.length
+            ? {
+                minX: Math.min(...outline.map(pt => pt.x)), maxX: Math.max(...outline.map(pt => pt.x)),
+                minY: Math.min(...outline.map(pt => pt.y)), maxY: Math.max(...outline.map(pt => pt.y))
+            }
+            : { minX: -p.shapeWidth / 2, maxX: p.shapeWidth / 2, minY: -p.shapeHeight / 2, maxY: p.shapeHeight / 2 };
+        const contour = !p.opType || p.opType === 'contour';
+        const r = p.toolDiameter / 2;
+        let growX = 0, growY = 0;
+        if (contour && (p.operation === 'outside' || p.operation === 'center')) {
+            growX = growY = r;
+        } else if (p.opType === 'facing') {
+            // Facing passes overhang the part by the tool radius plus the pass extension
+            growX = r + (p.passExtX || 0);
+            growY = r + (p.passExtY || 0);
+        }
+        return { minX: box.minX - growX, maxX: box.maxX + growX, minY: box.minY - growY, maxY: box.maxY + growY };
+    }
+
+    /**
+     * Emits the moves for a single operation (no header/footer).
+     */
+    generateOperation(lines, p) {
         if (p.opType === 'facing') {
             this.generateFacing(lines, p);
         } else if (p.opType === 'text') {
             this.generateText(lines, p);
+        } else if (p.opType === 'pocket') {
+            this.generatePocket(lines, p);
+        } else if (p.opType === 'drill') {
+            this.generateDrill(lines, p);
+        } else if (p.opType === 'vcarve') {
+            this.generateVCarve(lines, p);
+        } else if (p.opType === 'chamfer') {
+            this.generateChamfer(lines, p);
+        } else if (p.opType === 'bore') {
+            this.generateBore(lines, p);
         } else {
             // Contour / Sketch Logic
             
@@ -43,98 +373,163 @@ export class GCodeGenerator {
             if (p.operation === 'inside') offset = -p.toolDiameter / 2;
             // center = 0
 
+            lines.push(`; Cut Direction: ${this.getCutDirection(p) === 'climb' ? 'Climb' : 'Conventional'}${p.cutDirection === 'auto' ? ` (auto for ${p.stockMaterial || 'wood'})` : ''}`);
+
+            if (p.operation === 'inside') {
+                const reliefs = this.getCornerReliefs(p.shape);
+                if (reliefs.length) lines.push(`; Corner Relief: ${p.cornerRelief} at corners ${reliefs.map(rl => rl.corner).join(', ')}`);
+            }
+
+            // Roughing offsets step out into the waste: +ve outside, -ve inside
+            let dirMult = 0;
+            if (p.operation === 'outside') dirMult = 1;
+            else if (p.operation === 'inside') dirMult = -1;
+
+            // With a separate finish pass the levels stop short of the wall and the floor
+            const finishing = !!p.enableFinishPass;
+            const radialLeave = finishing ? Math.max(0, p.stockToLeave || 0) : 0;
+            const axialLeave = p.targetDepth - this.getRoughDepth(p);
+            const finishEvery = finishing ? Math.max(0, Math.floor(p.finishEvery || 0)) : 0;
+            if (finishing) {
+                lines.push(`; Stock to Leave: ${this.post.describeLength(radialLeave * Math.abs(dirMult), 3)} radial, ${this.post.describeLength(axialLeave, 3)} axial`);
+            }
+
             // Generate passes
-            let currentZ = 0;
-            while (currentZ > -p.targetDepth) {
-                currentZ -= p.passDepth;
-                if (currentZ < -p.targetDepth) currentZ = -p.targetDepth;
+            let prevZ = 0;
+            this.getStepDownLevels(p, this.getRoughDepth(p)).forEach((currentZ, idx) => {
+                const level = idx + 1;
                 
-                lines.push(`; Pass at Z=${currentZ.toFixed(2)}`);
+                lines.push(`; Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
                 
                 // Determine Offsets List (Roughing -> Finish)
                 const passOffsets = [];
+                const wallOffset = offset + radialLeave * dirMult;
                 
                 if (p.enableRoughing && p.roughingPasses > 0 && p.roughingStepover > 0) {
-                    let dirMult = 0;
-                    if (p.operation === 'outside') dirMult = 1;
-                    else if (p.operation === 'inside') dirMult = -1;
-                    
                     if (dirMult !== 0) {
                         for (let i = p.roughingPasses; i >= 1; i--) {
-                            passOffsets.push(offset + (i * p.roughingStepover * dirMult));
+                            passOffsets.push(wallOffset + (i * p.roughingStepover * dirMult));
                         }
                     }
                 }
                 
-                // Add Final Finish Pass
-                passOffsets.push(offset);
+                // Add Final Finish Pass (the last roughing lap when finishing separately)
+                passOffsets.push(wallOffset);
                 
                 // Execute Passes
                 passOffsets.forEach((currentOffset, idx) => {
                     const isFinish = idx === passOffsets.length - 1;
-                    const passName = isFinish ? 'Finish' : `Roughing ${p.roughingPasses - idx}`;
+                    let passName = isFinish ? 'Finish' : `Roughing ${p.roughingPasses - idx}`;
+                    if (isFinish && finishing) passName = 'Final Roughing';
                     lines.push(`; ${passName} Pass`);
-                    
-                    // Calculate Start & Leads
-                    const startPos = this.getStartPosition(p.shape, currentOffset);
-                    const leadIn = this.getLeadIn(p.shape, startPos, currentOffset, p);
-                    const leadOut = this.getLeadOut(p.shape, startPos, currentOffset, p);
-                    
-                    // Move to Start (Lead Start or Shape Start)
-                    const moveStart = leadIn ? leadIn.start : startPos;
-                    
-                    lines.push(this.getRapidXY(moveStart.x, moveStart.y));
-                    
-                    if (p.enableRamp) {
-                        // Ramping Logic
-                        // Start ramping from previous level + clearance
-                        // Previous level = currentZ + passDepth.
-                        const prevZ = currentZ + p.passDepth;
-                        const rampStartZ = prevZ + (p.rampClearance || 0.5);
-                        
-                        // Move to Ramp Start Height
-                        lines.push(this.getRapidZ(rampStartZ));
-                        
-                        // Ramp Down
-                        const rampData = {
-                            startZ: rampStartZ,
-                            targetZ: currentZ,
-                            angle: p.rampAngle || 2
-                        };
-                        lines.push(`; Ramping from Z${rampStartZ.toFixed(3)} to Z${currentZ.toFixed(3)}`);
-                        lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ, rampData));
-                        
-                        // Final Flat Pass (Clean up)
-                        lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ));
-                        
-                    } else {
-                        // Plunge
-                        lines.push(`G1 Z${currentZ.toFixed(3)} F${p.plungeRate}`); 
-                        
-                        // Lead In
-                        if (leadIn && leadIn.moves) lines.push(...leadIn.moves);
-                        
-                        // Cut Path
-                        lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ));
-                    }
-                    
-                    // Lead Out
-                    if (leadOut && leadOut.moves) lines.push(...leadOut.moves);
-                    
-                    // Retract
-                    if (!isFinish || p.enableRamp) {
-                        lines.push(this.getRapidZ(p.safeZ));
-                    }
+                    this.emitContourLap(lines, p, currentOffset, currentZ, {
+                        ramp: p.enableRamp,
+                        prevZ,
+                        retract: !isFinish || p.enableRamp || finishing
+                    });
                 });
-            }
+
+                // Finish the wall every few levels rather than all at the end
+                if (finishEvery > 0 && level % finishEvery === 0 && currentZ > -p.targetDepth + 1e-9) {
+                    this.emitFinishLap(lines, p, offset, currentZ, false);
+                }
+                prevZ = currentZ;
+            });
+
+            if (finishing) this.emitFinishLap(lines, p, offset, -p.targetDepth, !!p.springPass);
         }
+    }
 
-        // Footer
-        lines.push(`${this.getRapidZ(p.safeZ)} ; Retract`);
-        lines.push('M5 ; Spindle off');
-        lines.push('M30 ; End of program');
+    /**
+     * Depth the contour levels go down to: short of the target by the axial
+     * stock to leave when there is a separate finish pass.
+     */
+    getRoughDepth(p) {
+        if (!p.enableFinishPass) return p.targetDepth;
+        return p.targetDepth - Math.min(Math.max(0, p.axialStockToLeave || 0), p.targetDepth);
+    }
+
+    /**
+     * Finishing lap of a contour at its own feed and spindle speed, cutting
+     * the wall from the last finished level down to z in one go. A spring
+     * pass repeats it to take off what the tool deflected past.
+     */
+    emitFinishLap(lines, p, offset, z, spring) {
+        const fp = { ...p, feedRate: p.finishFeedRate > 0 ? p.finishFeedRate : p.feedRate };
+        const speed = p.finishSpindleSpeed > 0 ? p.finishSpindleSpeed : p.spindleSpeed;
+        lines.push(`; Finish Pass at Z=${this.post.describeCoord(z, 2)}`);
+        if (speed !== p.spindleSpeed) lines.push(`M3 S${speed} ; Finishing speed`);
+        this.emitContourLap(lines, fp, offset, z, { ramp: false, retract: true });
+        if (spring) {
+            lines.push('; Spring Pass');
+            this.emitContourLap(lines, fp, offset, z, { ramp: false, retract: true });
+        }
+        if (speed !== p.spindleSpeed) lines.push(`M3 S${p.spindleSpeed} ; Roughing speed`);
+    }
+
+    /**
+     * One lap of a contour at depth z: over to the start (or the lead-in),
+     * ramp or plunge, cut round, lead out and optionally retract. Ramps
+     * start just above prevZ, the level cut before.
+     */
+    emitContourLap(lines, p, currentOffset, currentZ, { ramp, prevZ = currentZ + p.passDepth, retract }) {
+        // Offset larger than the sketch (e.g. tool too big for the hole)
+        if (p.shape === 'sketch' && this.getSketchContour(currentOffset).length === 0) {
+            lines.push(`; Skipped: offset ${this.post.describeLength(currentOffset, 3)} collapses the sketch`);
+            return;
+        }
+        if (PARAMETRIC_SHAPES.includes(p.shape) && this.getContourPath(p.shape, currentOffset).segments.length === 0) {
+            lines.push(`; Skipped: offset ${this.post.describeLength(currentOffset, 3)} collapses the ${p.shape}`);
+            return;
+        }
 
-        return lines.join('\n');
+        // Calculate Start & Leads
+        const startPos = this.getStartPosition(p.shape, currentOffset);
+        const leadIn = this.getLeadIn(p.shape, startPos, currentOffset, p);
+        const leadOut = this.getLeadOut(p.shape, startPos, currentOffset, p);
+        
+        // Move to Start (Lead Start or Shape Start)
+        const moveStart = leadIn ? leadIn.start : startPos;
+        
+        lines.push(this.getRapidXY(moveStart.x, moveStart.y));
+        
+        if (ramp) {
+            // Ramping Logic
+            // Start ramping from previous level + clearance
+            const rampStartZ = prevZ + (p.rampClearance || 0.5);
+            
+            // Move to Ramp Start Height, then lead in above the cut
+            lines.push(this.getRapidZ(rampStartZ));
+            if (leadIn && leadIn.moves) lines.push(...leadIn.moves);
+            
+            // Ramp Down
+            const rampData = {
+                startZ: rampStartZ,
+                targetZ: currentZ,
+                angle: p.rampAngle || 2
+            };
+            lines.push(`; Ramping from Z${this.post.describeCoord(rampStartZ, 3)} to Z${this.post.describeCoord(currentZ, 3)}`);
+            lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ, rampData));
+            
+            // Final Flat Pass (Clean up)
+            lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ));
+            
+        } else {
+            // Plunge
+            lines.push(`G1 Z${currentZ.toFixed(3)} F${p.plungeRate}`); 
+            
+            // Lead In
+            if (leadIn && leadIn.moves) lines.push(...leadIn.moves);
+            
+            // Cut Path
+            lines.push(...this.getShapePath(p.shape, currentOffset, p.feedRate, currentZ));
+        }
+        
+        // Lead Out
+        if (leadOut && leadOut.moves) lines.push(...leadOut.moves);
+        
+        // Retract
+        if (retract) lines.push(this.getRapidZ(p.safeZ));
     }
 
     generateFacing(lines, p) {
@@ -147,130 +542,509 @@ export class GCodeGenerator {
         const t = this.getTranslation();
 
         textObjects.forEach(obj => {
-            lines.push(`; Text: ${obj.text} at ${obj.x}, ${obj.y}`);
-            
-            let cursorX = obj.x + t.x;
-            let cursorY = obj.y + t.y;
-            const scale = obj.size / 10; // Base font size is 10 units
+            // Fonts from font-library are loaded asynchronously by the UI
+            let font = getFont(obj.font);
+            if (!font) {
+                this.warnings.push(`Text "${obj.text}": font ${obj.font} is not loaded, using the built-in font`);
+                font = getFont();
+            }
+            lines.push(`; Text: ${obj.text.replace(/\r?\n/g, ' / ')} at ${obj.x}, ${obj.y}${obj.font ? ` (${font.name})` : ''}`);
+
+            // TTF/OTF lettering is cut as closed areas, not traced strokes
+            if (font.outline) {
+                this.generateOutlineText(lines, p, obj, font);
+                return;
+            }
 
-            for (const char of obj.text.toUpperCase()) {
-                const paths = this.getCharacterPath(char);
-                paths.forEach(path => {
-                    if (path.length < 1) return;
+            const originX = obj.x + t.x;
+            const originY = obj.y + t.y;
+            const { paths, glyphOf, missing } = layoutText(obj, font);
+            const levels = this.getTextPassLevels(p);
+            if (levels.length > 1) lines.push(`; Text Passes: ${levels.map(z => `Z${this.post.describeCoord(z, 3)}`).join(' ')}`);
 
-                    // Move to start of path
-                    lines.push(this.getRapidXY(cursorX + path[0].x * scale, cursorY + path[0].y * scale));
-                    
-                    // Plunge
-                    lines.push(`G1 Z${(-p.targetDepth).toFixed(3)} F${p.plungeRate}`);
+            const strokes = paths.map((path, i) => ({
+                points: path.map(pt => ({ x: originX + pt.x, y: originY + pt.y })),
+                glyphs: [glyphOf[i]]
+            }));
+            if (p.textOptimize && strokes.length > 1) {
+                // An even number of levels brings the tool back to where the stroke started
+                const returns = levels.length % 2 === 0;
+                const chained = this.chainStrokes(strokes);
+                const start = strokes[0].points[0];
+                const ordered = this.planPathOrder(chained.map(s => s.points), start, returns)
+                    .map(({ index, reversed }) => reversed
+                        ? { ...chained[index], points: [...chained[index].points].reverse() }
+                        : chained[index]);
+                lines.push(`; Stroke order optimised: ${strokes.length} strokes in ${ordered.length} runs`);
+
+                const optimised = [];
+                this.engraveStrokes(optimised, p, ordered, levels);
+                lines.push(...optimised);
+
+                // Character order with full retracts, for the simulator stats
+                const plain = [];
+                this.engraveStrokes(plain, { ...p, textClearance: 0 }, strokes, levels);
+                this.stats.textTimeSaved += this.estimateMinutes(plain, start) - this.estimateMinutes(optimised, start);
+            } else {
+                this.engraveStrokes(lines, p, strokes, levels);
+            }
+
+            this.reportMissingGlyphs(lines, obj, missing);
+        });
+    }
+
+    /**
+     * Engraves strokes in the given order. Between strokes of the same glyph
+     * the tool only lifts to the clearance height; runs that end where the
+     * next one starts continue without lifting.
+     */
+    engraveStrokes(lines, p, strokes, levels) {
+        const clearance = p.textClearance > 0 && p.textClearance < p.safeZ ? p.textClearance : p.safeZ;
+        strokes.forEach((stroke, i) => {
+            // Move to start of path
+            lines.push(this.getRapidXY(stroke.points[0].x, stroke.points[0].y));
 
-                    // Trace path
-                    for (let i = 1; i < path.length; i++) {
-                        lines.push(`G1 X${(cursorX + path[i].x * scale).toFixed(3)} Y${(cursorY + path[i].y * scale).toFixed(3)} F${p.feedRate}`);
+            this.engraveStroke(lines, p, stroke.points, levels);
+
+            // Retract: low hop inside a glyph, safe Z between glyphs
+            const next = strokes[i + 1];
+            const sameGlyph = next && next.glyphs.some(g => stroke.glyphs.includes(g));
+            lines.push(this.getRapidZ(sameGlyph ? clearance : p.safeZ));
+        });
+    }
+
+    /**
+     * Joins strokes that meet end to end into longer runs so they are cut
+     * without lifting in between.
+     */
+    chainStrokes(strokes, tolerance = 0.001) {
+        const near = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+        const used = new Array(strokes.length).fill(false);
+        const runs = [];
+        strokes.forEach((stroke, i) => {
+            if (used[i]) return;
+            used[i] = true;
+            let points = [...stroke.points];
+            const glyphs = [...stroke.glyphs];
+
+            // Grow the run at its end, then at its start
+            [false, true].forEach(atStart => {
+                let grown = true;
+                while (grown) {
+                    grown = false;
+                    const tip = atStart ? points[0] : points[points.length - 1];
+                    // A closed stroke (an 'O') is a run of its own
+                    if (near(points[0], points[points.length - 1]) && points.length > 2) return;
+                    for (let j = 0; j < strokes.length; j++) {
+                        if (used[j]) continue;
+                        const other = strokes[j].points;
+                        let piece = null;
+                        if (near(other[0], tip)) piece = atStart ? [...other].reverse() : other;
+                        else if (near(other[other.length - 1], tip)) piece = atStart ? other : [...other].reverse();
+                        if (!piece) continue;
+                        used[j] = true;
+                        strokes[j].glyphs.forEach(g => { if (!glyphs.includes(g)) glyphs.push(g); });
+                        points = atStart ? [...piece.slice(0, -1), ...points] : [...points, ...piece.slice(1)];
+                        grown = true;
+                        break;
                     }
+                }
+            });
+            runs.push({ points, glyphs });
+        });
+        return runs;
+    }
+
+    /**
+     * Order for cutting polylines with the least travel: nearest neighbour
+     * from `start`, then 2-opt moves. Polylines may be cut backwards, so
+     * each entry says whether to reverse it. With `returns` the tool ends
+     * each polyline where it entered it (an even number of passes).
+     * @returns {Array<{index: number, reversed: boolean}>}
+     */
+    planPathOrder(polylines, start, returns = false) {
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const first = (k) => k.reversed ? polylines[k.index][polylines[k.index].length - 1] : polylines[k.index][0];
+        const last = (k) => k.reversed ? polylines[k.index][0] : polylines[k.index][polylines[k.index].length - 1];
+        const exit = (k) => returns ? first(k) : last(k);
 
-                    // Retract
-                    lines.push(this.getRapidZ(p.safeZ));
+        // Nearest neighbour, entering each polyline at its nearer end
+        const remaining = polylines.map((line, index) => index);
+        const order = [];
+        let cur = start;
+        while (remaining.length) {
+            let best = null, bestD = Infinity;
+            remaining.forEach((index, i) => {
+                [false, true].forEach(reversed => {
+                    const d = dist(cur, first({ index, reversed }));
+                    if (d < bestD - 1e-9) { bestD = d; best = { i, index, reversed }; }
                 });
-                cursorX += 8 * scale; // Character width + spacing
+            });
+            remaining.splice(best.i, 1);
+            const item = { index: best.index, reversed: best.reversed };
+            order.push(item);
+            cur = exit(item);
+        }
+
+        // 2-opt: reverse a stretch of the order when that shortens the two links
+        // at its ends. Cutting the stretch backwards also flips each polyline.
+        const flip = (k) => returns ? k : { index: k.index, reversed: !k.reversed };
+        for (let sweep = 0, improved = true; improved && sweep < 50; sweep++) {
+            improved = false;
+            for (let i = 1; i < order.length - 1; i++) {
+                for (let j = i + 1; j < order.length; j++) {
+                    const a = exit(order[i - 1]);
+                    const b = first(order[i]);
+                    const c = returns ? first(order[j]) : last(order[j]);
+                    const next = order[j + 1];
+                    const before = dist(a, b) + (next ? dist(exit(order[j]), first(next)) : 0);
+                    const after = dist(a, c) + (next ? dist(b, first(next)) : 0);
+                    if (after < before - 1e-6) {
+                        const stretch = order.slice(i, j + 1).reverse().map(flip);
+                        order.splice(i, stretch.length, ...stretch);
+                        improved = true;
+                    }
+                }
             }
+        }
+        return order;
+    }
+
+    /**
+     * Run time of neutral G-code in minutes with the simulator's speeds,
+     * starting at safe Z above `from`.
+     */
+    estimateMinutes(lines, from) {
+        const p = this.params;
+        const rapidXY = p.rapidXY || 7000;
+        const rapidZ = p.rapidZ || 500;
+        const pos = { x: from.x, y: from.y, z: p.safeZ };
+        let feed = p.feedRate || 800;
+        let minutes = 0;
+        lines.forEach(line => {
+            const code = line.split(';')[0];
+            const g = code.match(/^G([0-3])\b/);
+            if (!g) return;
+            const word = (c) => {
+                const m = code.match(new RegExp(c + '(-?[0-9.]+)'));
+                return m ? parseFloat(m[1]) : null;
+            };
+            if (word('F') !== null) feed = word('F');
+            const to = { x: word('X') ?? pos.x, y: word('Y') ?? pos.y, z: word('Z') ?? pos.z };
+            const d = Math.hypot(to.x - pos.x, to.y - pos.y, to.z - pos.z);
+            let speed = feed;
+            if (g[1] === '0') speed = (to.x !== pos.x || to.y !== pos.y) ? rapidXY : rapidZ;
+            minutes += d / speed;
+            Object.assign(pos, to);
         });
+        return minutes;
     }
 
-    getCharacterPath(char) {
-        // Simple "Stick Font" definitions (10 units high, ~6 units wide)
-        // Returns array of paths, each path is array of {x, y}
-        const font = {
-            'A': [[{x:0,y:0}, {x:3,y:10}, {x:6,y:0}], [{x:1,y:4}, {x:5,y:4}]],
-            'B': [[{x:0,y:0}, {x:0,y:10}, {x:4,y:10}, {x:5,y:9}, {x:5,y:6}, {x:4,y:5}, {x:0,y:5}], [{x:0,y:5}, {x:5,y:5}, {x:6,y:4}, {x:6,y:1}, {x:5,y:0}, {x:0,y:0}]],
-            'C': [[{x:6,y:2}, {x:4,y:0}, {x:1,y:0}, {x:0,y:2}, {x:0,y:8}, {x:1,y:10}, {x:4,y:10}, {x:6,y:8}]],
-            'D': [[{x:0,y:0}, {x:0,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:2}, {x:4,y:0}, {x:0,y:0}]],
-            'E': [[{x:6,y:0}, {x:0,y:0}, {x:0,y:10}, {x:6,y:10}], [{x:0,y:5}, {x:4,y:5}]],
-            'F': [[{x:0,y:0}, {x:0,y:10}, {x:6,y:10}], [{x:0,y:5}, {x:4,y:5}]],
-            'G': [[{x:6,y:8}, {x:4,y:10}, {x:1,y:10}, {x:0,y:8}, {x:0,y:2}, {x:1,y:0}, {x:4,y:0}, {x:6,y:2}, {x:6,y:5}, {x:3,y:5}]],
-            'H': [[{x:0,y:0}, {x:0,y:10}], [{x:6,y:0}, {x:6,y:10}], [{x:0,y:5}, {x:6,y:5}]],
-            'I': [[{x:3,y:0}, {x:3,y:10}], [{x:1,y:0}, {x:5,y:0}], [{x:1,y:10}, {x:5,y:10}]],
-            'J': [[{x:0,y:2}, {x:2,y:0}, {x:4,y:0}, {x:4,y:10}, {x:1,y:10}]],
-            'K': [[{x:0,y:0}, {x:0,y:10}], [{x:0,y:5}, {x:5,y:10}], [{x:0,y:5}, {x:5,y:0}]],
-            'L': [[{x:0,y:10}, {x:0,y:0}, {x:6,y:0}]],
-            'M': [[{x:0,y:0}, {x:0,y:10}, {x:3,y:7}, {x:6,y:10}, {x:6,y:0}]],
-            'N': [[{x:0,y:0}, {x:0,y:10}, {x:6,y:0}, {x:6,y:10}]],
-            'O': [[{x:1,y:0}, {x:0,y:2}, {x:0,y:8}, {x:1,y:10}, {x:5,y:10}, {x:6,y:8}, {x:6,y:2}, {x:5,y:0}, {x:1,y:0}]],
-            'P': [[{x:0,y:0}, {x:0,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:6}, {x:4,y:5}, {x:0,y:5}]],
-            'Q': [[{x:1,y:0}, {x:0,y:2}, {x:0,y:8}, {x:1,y:10}, {x:5,y:10}, {x:6,y:8}, {x:6,y:2}, {x:5,y:0}, {x:1,y:0}], [{x:4,y:2}, {x:6,y:0}]],
-            'R': [[{x:0,y:0}, {x:0,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:6}, {x:4,y:5}, {x:0,y:5}], [{x:3,y:5}, {x:6,y:0}]],
-            'S': [[{x:0,y:2}, {x:2,y:0}, {x:4,y:0}, {x:6,y:2}, {x:6,y:4}, {x:0,y:6}, {x:0,y:8}, {x:2,y:10}, {x:4,y:10}, {x:6,y:8}]],
-            'T': [[{x:3,y:0}, {x:3,y:10}], [{x:0,y:10}, {x:6,y:10}]],
-            'U': [[{x:0,y:10}, {x:0,y:2}, {x:2,y:0}, {x:4,y:0}, {x:6,y:2}, {x:6,y:10}]],
-            'V': [[{x:0,y:10}, {x:3,y:0}, {x:6,y:10}]],
-            'W': [[{x:0,y:10}, {x:1,y:0}, {x:3,y:4}, {x:5,y:0}, {x:6,y:10}]],
-            'X': [[{x:0,y:0}, {x:6,y:10}], [{x:0,y:10}, {x:6,y:0}]],
-            'Y': [[{x:3,y:0}, {x:3,y:5}, {x:0,y:10}], [{x:3,y:5}, {x:6,y:10}]],
-            'Z': [[{x:0,y:10}, {x:6,y:10}, {x:0,y:0}, {x:6,y:0}]],
-            '0': [[{x:1,y:0}, {x:0,y:2}, {x:0,y:8}, {x:1,y:10}, {x:5,y:10}, {x:6,y:8}, {x:6,y:2}, {x:5,y:0}, {x:1,y:0}], [{x:5,y:8}, {x:1,y:2}]],
-            '1': [[{x:1,y:8}, {x:3,y:10}, {x:3,y:0}], [{x:1,y:0}, {x:5,y:0}]],
-            '2': [[{x:0,y:8}, {x:2,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:5}, {x:0,y:0}, {x:6,y:0}]],
-            '3': [[{x:0,y:8}, {x:2,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:6}, {x:4,y:5}, {x:6,y:4}, {x:6,y:2}, {x:4,y:0}, {x:2,y:0}, {x:0,y:2}], [{x:2,y:5}, {x:4,y:5}]],
-            '4': [[{x:4,y:0}, {x:4,y:10}, {x:0,y:3}, {x:6,y:3}]],
-            '5': [[{x:6,y:10}, {x:0,y:10}, {x:0,y:5}, {x:4,y:5}, {x:6,y:4}, {x:6,y:2}, {x:4,y:0}, {x:0,y:0}]],
-            '6': [[{x:5,y:10}, {x:2,y:10}, {x:0,y:8}, {x:0,y:2}, {x:2,y:0}, {x:4,y:0}, {x:6,y:2}, {x:6,y:4}, {x:4,y:5}, {x:0,y:5}]],
-            '7': [[{x:0,y:10}, {x:6,y:10}, {x:2,y:0}]],
-            '8': [[{x:2,y:5}, {x:1,y:6}, {x:1,y:9}, {x:2,y:10}, {x:4,y:10}, {x:5,y:9}, {x:5,y:6}, {x:4,y:5}, {x:5,y:4}, {x:5,y:1}, {x:4,y:0}, {x:2,y:0}, {x:1,y:1}, {x:1,y:4}, {x:2,y:5}]],
-            '9': [[{x:6,y:5}, {x:2,y:5}, {x:0,y:6}, {x:0,y:8}, {x:2,y:10}, {x:4,y:10}, {x:6,y:8}, {x:6,y:2}, {x:4,y:0}, {x:1,y:0}]],
-            ' ': [],
-            '-': [[{x:1,y:5}, {x:5,y:5}]],
-            '.': [[{x:2.5,y:0}, {x:3.5,y:0}, {x:3.5,y:1}, {x:2.5,y:1}, {x:2.5,y:0}]]
-        };
-        return font[char] || [];
+    /**
+     * Z levels down to `depth` (positive) on the chosen step-down schedule:
+     * 'constant' passDepth steps with whatever is left as the last layer,
+     * 'even' equal layers no deeper than passDepth, or 'list', the depths
+     * typed in. Except for a list, a lighter first pass can skim the skin of
+     * the board and the last layer is kept at least minFinalLayer thick.
+     */
+    getStepDownLevels(p, depth) {
+        const eps = 0.0001;
+        if (!(depth > eps)) return [];
+        const step = p.passDepth > 0 ? p.passDepth : depth;
+
+        if (p.stepDownMode === 'list') {
+            const listed = String(p.stepDownList || '').split(/[\s,;]+/).filter(Boolean).map(Number)
+                .filter(d => d > eps && d < depth - eps);
+            return [...new Set(listed)].sort((a, b) => a - b).concat(depth).map(d => -d);
+        }
+
+        const depths = [];
+        let top = 0;
+        if (p.firstPassDepth > 0 && p.firstPassDepth < depth - eps) {
+            top = Math.min(p.firstPassDepth, step);
+            depths.push(top);
+        }
+        const remaining = depth - top;
+        const count = Math.ceil(remaining / step - eps);
+        for (let i = 1; i <= count; i++) {
+            depths.push(p.stepDownMode === 'even' ? top + remaining * i / count : Math.min(depth, top + step * i));
+        }
+
+        // A sliver at the bottom: raise the level above it, or merge the two
+        const minFinal = Math.min(p.minFinalLayer || 0, step);
+        const n = depths.length;
+        if (minFinal > 0 && n > 1 && depth - depths[n - 2] < minFinal - eps) {
+            const above = n > 2 ? depths[n - 3] : 0;
+            if (depth - minFinal > above + eps) depths[n - 2] = depth - minFinal;
+            else depths.splice(n - 2, 1);
+        }
+        return depths.map(d => -d);
     }
 
-    generateFacing(lines, p) {
-        // Facing Logic: Zig-Zag over the Shape area (Rectangular bounding box)
-        // If Shape is Circle, we still face the bounding box? Or implement Circular facing?
-        // Let's implement Rectangular Zig-Zag for all shapes for simplicity in V1, 
-        // effectively facing the bounding box.
-        
-        let w = 0, h = 0;
-        if (p.shape === 'square') { w = p.width; h = p.width; }
-        else if (p.shape === 'rectangle') { w = p.width; h = p.height; }
-        else if (p.shape === 'circle') { w = p.diameter; h = p.diameter; }
-        else if (p.shape === 'sketch') { w = p.shapeWidth; h = p.shapeHeight; } // Calculated in ui.js
-        
-        // Adjust for Tool Diameter? 
-        // Usually facing extends PAST the edge by tool radius to clear edges.
-        // Bounds: -w/2 to +w/2.
-        // Cut Extent: -w/2 - r to +w/2 + r.
-        const r = p.toolDiameter / 2;
-        const passExtX = p.passExtX || 0;
-        const passExtY = p.passExtY || 0;
-        
-        const startX = -(w/2) - r - passExtX; // Overhang + Extension
-        const endX = (w/2) + r + passExtX;
-        const startY = -(h/2) - r - passExtY;
-        const endY = (h/2) + r + passExtY; // Ensure we cover this
-        
-        const step = p.stepover > 0 ? p.stepover : (p.toolDiameter * 0.4); // Default fallback
-        const t = this.getTranslation();
+    /**
+     * Header line naming the step-down schedule and listing its levels, for
+     * the operations that cut in layers.
+     */
+    describeStepDown(p) {
+        const opType = p.opType || 'contour';
+        if (!['contour', 'pocket', 'facing'].includes(opType)) return null;
+        const levels = this.getStepDownLevels(p, opType === 'contour' ? this.getRoughDepth(p) : p.targetDepth);
+        const notes = [{ even: 'Even', list: 'Listed' }[p.stepDownMode] || 'Constant'];
+        if (p.stepDownMode !== 'list') {
+            if (p.firstPassDepth > 0) notes.push(`${this.post.describeLength(p.firstPassDepth, 3)} first pass`);
+            if (p.minFinalLayer > 0) notes.push(`${this.post.describeLength(p.minFinalLayer, 3)} min final layer`);
+        }
+        return `; Step-Down: ${notes.join(', ')} | Z ${levels.map(z => this.post.describeLength(z, 3)).join(', ')}`;
+    }
 
-        let currentZ = 0;
-        while (currentZ > -p.targetDepth) {
-            currentZ -= p.passDepth;
-            if (currentZ < -p.targetDepth) currentZ = -p.targetDepth;
-            
-            lines.push(`; Facing Pass at Z=${currentZ.toFixed(2)}`);
-            
-            // Direction Logic
-            // Both: Alternate
-            // Climb: Always Left->Right (Start->End) ? Assuming Step Y+
-            // Conventional: Always Right->Left (End->Start) ? Assuming Step Y+
-            
-            // Existing logic defined startX (Left) and endX (Right).
-            // startY (Bottom) to endY (Top).
-            
-            let y = startY;
-            
-            // For 'climb' or 'conventional', we enforce direction.
-            // For 'both', we toggle.
+    /**
+     * Z levels for text: passDepth steps down to the target depth,
+     * optionally after a shallow scoring pass that cuts the letter edges
+     * cleanly before the bit takes full bites.
+     */
+    getTextPassLevels(p) {
+        const levels = [];
+        const step = p.passDepth > 0 ? p.passDepth : p.targetDepth;
+        let z = 0;
+        if (p.textScorePass && p.textScoreDepth > 0 && p.textScoreDepth < p.targetDepth) {
+            z = -p.textScoreDepth;
+            levels.push(z);
+        }
+        while (z > -p.targetDepth + 0.0001) {
+            z = Math.max(-p.targetDepth, z - step);
+            levels.push(z);
+        }
+        return levels;
+    }
+
+    /**
+     * Cuts one stroke down through all levels without lifting. The tool
+     * starts at the stroke's first point and each level runs back the
+     * way the last one came. With ramping enabled the bit walks down
+     * along the stroke (back and forth if it is short) instead of plunging.
+     */
+    engraveStroke(lines, p, stroke, levels) {
+        // Distance along the stroke at each point
+        const dist = [0];
+        for (let i = 1; i < stroke.length; i++) {
+            dist.push(dist[i - 1] + Math.hypot(stroke[i].x - stroke[i - 1].x, stroke[i].y - stroke[i - 1].y));
+        }
+        const len = dist[dist.length - 1];
+        const eps = 0.0001;
+
+        const pointAt = (d) => {
+            let i = 1;
+            while (i < dist.length - 1 && dist[i] < d) i++;
+            const span = dist[i] - dist[i - 1];
+            const t = span > 0 ? (d - dist[i - 1]) / span : 1;
+            return this.interpolate(stroke[i - 1], stroke[i], Math.min(1, Math.max(0, t)));
+        };
+        // Feeds from distance 'from' to 'to' along the stroke, zAt(d) gives the
+        // depth on a ramp (null = stay at the current Z)
+        const walk = (from, to, zAt = null) => {
+            if (Math.abs(to - from) < eps) return;
+            const forward = to > from;
+            const corners = dist.map((d, i) => i)
+                .filter(i => forward ? dist[i] > from + eps && dist[i] < to - eps : dist[i] < from - eps && dist[i] > to + eps);
+            if (!forward) corners.reverse();
+            const emit = (pt, d) => {
+                const zWord = zAt ? ` Z${zAt(d).toFixed(3)}` : '';
+                lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)}${zWord} F${p.feedRate}`);
+            };
+            corners.forEach(i => emit(stroke[i], dist[i]));
+            emit(pointAt(to), to);
+        };
+
+        let z = null;
+        let at = 0; // Where along the stroke the tool is: 0 or len
+        levels.forEach(level => {
+            if (!p.enableRamp || len < eps) {
+                lines.push(`G1 Z${level.toFixed(3)} F${p.plungeRate}`);
+                if (len >= eps) {
+                    walk(at, len - at);
+                    at = len - at;
+                }
+                z = level;
+                return;
+            }
+
+            // First entry ramps from the clearance height, later ones from the last level
+            let startZ = z;
+            if (startZ === null) {
+                startZ = p.rampClearance || 0.5;
+                lines.push(this.getRapidZ(startZ));
+            }
+            let slope = Math.tan(((p.rampAngle || 2) * Math.PI) / 180);
+            if (p.rampMaxStep > 0) slope = Math.min(slope, p.rampMaxStep / len);
+            const rampLen = (startZ - level) / slope;
+
+            // Bounce between the ends until the ramp reaches the level
+            let walked = 0;
+            let dir = at === 0 ? 1 : -1;
+            while (rampLen - walked > eps) {
+                const stop = dir > 0 ? len : 0;
+                const leg = Math.min(Math.abs(stop - at), rampLen - walked);
+                const legStart = walked;
+                const from = at;
+                walk(from, from + dir * leg, (d) => Math.max(level, startZ - (legStart + Math.abs(d - from)) * slope));
+                walked += leg;
+                at = from + dir * leg;
+                if (Math.abs(at - stop) < eps) dir = -dir;
+            }
+
+            // The ramp left the stroke shallow: cut it all at the level,
+            // turning at whichever end is nearer
+            const first = at <= len - at ? 0 : len;
+            walk(at, first);
+            walk(first, len - first);
+            at = len - first;
+            z = level;
+        });
+    }
+
+    reportMissingGlyphs(lines, obj, missing) {
+        if (missing.size === 0) return;
+        const list = [...missing].join(' ');
+        lines.push(`; Warning: no glyph for: ${list}`);
+        this.warnings.push(`Text "${obj.text}": could not render ${list}`);
+    }
+
+    /**
+     * Letter areas of a text object in an outline font, in machine
+     * coordinates: outer boundaries CCW, holes (counters of O, A...) CW.
+     */
+    getOutlineTextRegion(obj, font, missing = new Set()) {
+        const t = this.getTranslation();
+        const layout = layoutText(obj, font);
+        layout.missing.forEach(char => missing.add(char));
+        const rings = layout.paths.map(ring => ring.map(pt => ({ x: obj.x + t.x + pt.x, y: obj.y + t.y + pt.y })));
+
+        // Non-zero fill, also merges letters that overlap
+        return rings.length ? resolvePolygons(rings, 0.01) : [];
+    }
+
+    /**
+     * Outline font text: 'outline' engraves along the letter edges,
+     * 'pocket' clears the letters out to the tool radius.
+     */
+    generateOutlineText(lines, p, obj, font) {
+        const missing = new Set();
+        const region = this.getOutlineTextRegion(obj, font, missing);
+        this.reportMissingGlyphs(lines, obj, missing);
+        if (region.length === 0) return;
+
+        const cut = obj.cut || 'outline';
+        const r = p.toolDiameter / 2;
+        const step = this.getPocketStep(p);
+        const climb = p.pocketDirection !== 'conventional';
+
+        // Rings in cutting order for one depth
+        let rings;
+        let boundary;
+        if (cut === 'pocket') {
+            boundary = offsetRegion(region, -r);
+            if (boundary.length === 0) {
+                lines.push('; Skipped: tool too large for the letters');
+                this.warnings.push(`Text "${obj.text}": tool is too large to pocket the letters`);
+                return;
+            }
+            rings = this.getRegionRings(boundary, step);
+            lines.push(`; Pocket letters | Stepover ${this.post.describeLength(step, 3)} | ${climb ? 'Climb' : 'Conventional'}`);
+        } else {
+            boundary = region;
+            rings = region;
+            lines.push('; Outline letters');
+        }
+
+        // Links may feed at depth when short and inside the cleared area
+        const canFeed = (from, to) => {
+            if (cut !== 'pocket' || !from) return false;
+            if (Math.hypot(to.x - from.x, to.y - from.y) > step * 1.5) return false;
+            return !boundary.some(ring => ring.some((pt, i) => segmentsCross(from, to, pt, ring[(i + 1) % ring.length])));
+        };
+
+        const state = { pos: null, z: null };
+        this.getTextPassLevels(p).forEach(currentZ => {
+            lines.push(`; Text Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
+
+            rings.forEach(ring => {
+                // Climb: walls CW, islands CCW, i.e. against the region's winding
+                let pts = climb && cut === 'pocket' ? [...ring].reverse() : ring;
+                if (state.pos) pts = startNearest(pts, state.pos);
+                this.pocketLinkTo(lines, state, pts[0], currentZ, canFeed(state.pos, pts[0]));
+                for (let i = 1; i <= pts.length; i++) {
+                    const pt = pts[i % pts.length];
+                    lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} F${p.feedRate}`);
+                }
+                state.pos = pts[0];
+            });
+        });
+        lines.push(this.getRapidZ(p.safeZ));
+    }
+
+    /**
+     * Concentric clearing rings for a region with holes, innermost first.
+     * Depth first per island so each one is finished before moving on.
+     */
+    getRegionRings(region, step) {
+        const rings = [];
+        const visit = (piece) => {
+            splitRegion(offsetRegion(piece, -step)).forEach(visit);
+            rings.push(...piece);
+        };
+        splitRegion(region).forEach(visit);
+        return rings;
+    }
+
+    generateFacing(lines, p) {
+        // Facing Logic: Zig-Zag over the Shape area (Rectangular bounding box)
+        // If Shape is Circle, we still face the bounding box? Or implement Circular facing?
+        // Let's implement Rectangular Zig-Zag for all shapes for simplicity in V1, 
+        // effectively facing the bounding box.
+        // The other patterns follow the part itself (see generateShapedFacing).
+        if (p.facingPattern && p.facingPattern !== 'raster') {
+            this.generateShapedFacing(lines, p);
+            return;
+        }
+        
+        let w = 0, h = 0;
+        if (p.shape === 'square') { w = p.width; h = p.width; }
+        else if (p.shape === 'rectangle') { w = p.width; h = p.height; }
+        else if (p.shape === 'circle') { w = p.diameter; h = p.diameter; }
+        else if (p.shape === 'sketch' || PARAMETRIC_SHAPES.includes(p.shape)) { w = p.shapeWidth; h = p.shapeHeight; } // Calculated in ui.js
+        
+        // Adjust for Tool Diameter? 
+        // Usually facing extends PAST the edge by tool radius to clear edges.
+        // Bounds: -w/2 to +w/2.
+        // Cut Extent: -w/2 - r to +w/2 + r.
+        const r = p.toolDiameter / 2;
+        const passExtX = p.passExtX || 0;
+        const passExtY = p.passExtY || 0;
+        
+        const startX = -(w/2) - r - passExtX; // Overhang + Extension
+        const endX = (w/2) + r + passExtX;
+        const startY = -(h/2) - r - passExtY;
+        const endY = (h/2) + r + passExtY; // Ensure we cover this
+        
+        const step = p.stepover > 0 ? p.stepover : (p.toolDiameter * 0.4); // Default fallback
+        const t = this.getTranslation();
+
+        this.getStepDownLevels(p, p.targetDepth).forEach(currentZ => {
+            
+            lines.push(`; Facing Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
+            
+            // Direction Logic
+            // Both: Alternate
+            // Climb: Always Left->Right (Start->End) ? Assuming Step Y+
+            // Conventional: Always Right->Left (End->Start) ? Assuming Step Y+
+            
+            // Existing logic defined startX (Left) and endX (Right).
+            // startY (Bottom) to endY (Top).
+            
+            let y = startY;
+            
+            // For 'climb' or 'conventional', we enforce direction.
+            // For 'both', we toggle.
             
             // Climb (Step Y+, Spindle CW): Cut X+ (Left->Right).
             // Conventional: Cut X- (Right->Left).
@@ -326,281 +1100,998 @@ export class GCodeGenerator {
                     break;
                 }
             }
-            
-            // Retract for next Z pass
-            lines.push(this.getRapidZ(p.safeZ));
-        }
+            
+            // Retract for next Z pass
+            lines.push(this.getRapidZ(p.safeZ));
+        });
+    }
+
+    /**
+     * Facing patterns that stay on the part instead of its bounding box:
+     * 'shape' (raster clipped to the outline), 'offset' (concentric
+     * rectangles, outside in) and 'spiral-in' / 'spiral-out' (circles).
+     * The tool centre runs up to the pass extension past the edge.
+     */
+    generateShapedFacing(lines, p) {
+        const pattern = p.facingPattern;
+        const t = this.getTranslation();
+        const step = p.stepover > 0 ? p.stepover : (p.toolDiameter * 0.4);
+        const climb = p.facingDirection !== 'conventional';
+        const outline = this.getShapeOutline(p.shape);
+        if (outline.length < 3) {
+            lines.push('; Facing skipped: no closed shape');
+            return;
+        }
+
+        const names = { shape: 'Raster (Shape)', offset: 'Concentric', 'spiral-in': 'Spiral In', 'spiral-out': 'Spiral Out' };
+        const dirName = pattern === 'shape' && p.facingDirection === 'both' ? 'Both Ways' : (climb ? 'Climb' : 'Conventional');
+        lines.push(`; Facing: ${names[pattern] || pattern} | Stepover ${this.post.describeLength(step, 3)} | ${dirName}`);
+
+        const state = { pos: null, z: null };
+        const at = (pt) => ({ x: pt.x + t.x, y: pt.y + t.y });
+        const feedTo = (pt) => {
+            const m = at(pt);
+            lines.push(`G1 X${m.x.toFixed(3)} Y${m.y.toFixed(3)} F${p.feedRate}`);
+            state.pos = m;
+        };
+
+        this.getStepDownLevels(p, p.targetDepth).forEach(currentZ => {
+            lines.push(`; Facing Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
+
+            if (pattern === 'spiral-in' || pattern === 'spiral-out') {
+                this.emitFacingSpiral(lines, p, state, outline, step, climb, currentZ);
+            } else if (pattern === 'offset') {
+                this.emitFacingRectangles(lines, p, state, outline, step, climb, currentZ);
+            } else {
+                const margin = Math.max(p.passExtX || 0, p.passExtY || 0);
+                const regions = p.shape === 'circle'
+                    ? [this.circlePoints(p.diameter / 2 + margin)]
+                    : offsetPolygon(outline, margin).filter(l => polygonArea(l) > 0);
+
+                regions.forEach(points => {
+                    this.getZigZagChains({ points }, step).forEach(chain => {
+                        if (p.facingDirection === 'both') {
+                            chain.forEach((pt, i) => {
+                                if (i === 0) this.pocketLinkTo(lines, state, at(pt), currentZ, false);
+                                else feedTo(pt);
+                            });
+                            return;
+                        }
+                        // One way: every row in the same direction, lifting in between
+                        for (let i = 0; i + 1 < chain.length; i += 2) {
+                            const [a, b] = (chain[i].x < chain[i + 1].x) === climb ? [chain[i], chain[i + 1]] : [chain[i + 1], chain[i]];
+                            this.pocketLinkTo(lines, state, at(a), currentZ, false);
+                            feedTo(b);
+                        }
+                    });
+
+                    // Rows end on the boundary: one lap cleans the scallops between them.
+                    // The scallops are inside the counter-clockwise ring, on the left: climb
+                    lines.push('; Boundary Pass');
+                    let ring = climb ? points : [...points].reverse();
+                    if (state.pos) ring = startNearest(ring, { x: state.pos.x - t.x, y: state.pos.y - t.y });
+                    const inside = state.pos && !ring.some((pt, i) => segmentsCross(
+                        { x: state.pos.x - t.x, y: state.pos.y - t.y }, ring[0], pt, ring[(i + 1) % ring.length]));
+                    this.pocketLinkTo(lines, state, at(ring[0]), currentZ, inside);
+                    for (let i = 1; i <= ring.length; i++) feedTo(ring[i % ring.length]);
+                });
+            }
+
+            // Retract for next Z pass
+            lines.push(this.getRapidZ(p.safeZ));
+            state.z = null;
+            state.pos = null;
+        });
+    }
+
+    /**
+     * Spiral facing made of half circles: a turn around the centre, then one
+     * around a point step/2 off it, so each turn closes in by one stepover
+     * and every move is a true arc. Spiral-in starts past the edge and works
+     * in like an outside cut; spiral-out starts in the middle.
+     */
+    emitFacingSpiral(lines, p, state, outline, step, climb, z) {
+        const t = this.getTranslation();
+        const margin = Math.max(p.passExtX || 0, p.passExtY || 0);
+        const outer = (p.shape === 'circle' ? p.diameter / 2 : Math.max(...outline.map(pt => Math.hypot(pt.x, pt.y)))) + margin;
+
+        // Half turns from the outside in
+        const arcs = [];
+        for (let radius = outer; radius > 0.001; radius -= step) {
+            arcs.push({ start: { x: radius, y: 0 }, end: { x: -radius, y: 0 }, center: { x: 0, y: 0 } });
+            if (radius - step / 2 <= 0.001) break;
+            arcs.push({ start: { x: -radius, y: 0 }, end: { x: radius - step, y: 0 }, center: { x: -step / 2, y: 0 } });
+        }
+
+        const inward = p.facingPattern !== 'spiral-out';
+        const moves = inward ? arcs : arcs.reverse().map(a => ({ start: a.end, end: a.start, center: a.center }));
+        // Climb keeps the uncut material on the left: counter-clockwise going
+        // in (material towards the centre), clockwise going out
+        const g = inward === climb ? 'G3' : 'G2';
+        const center = { x: t.x, y: t.y };
+
+        if (!inward) {
+            // Start in the middle, where the tool centre covers the core
+            this.pocketLinkTo(lines, state, center, z, false);
+            lines.push(`G1 X${(moves[0].start.x + t.x).toFixed(3)} Y${(moves[0].start.y + t.y).toFixed(3)} F${p.feedRate}`);
+        } else {
+            this.pocketLinkTo(lines, state, { x: moves[0].start.x + t.x, y: moves[0].start.y + t.y }, z, false);
+        }
+        moves.forEach(a => {
+            const I = a.center.x - a.start.x;
+            const J = a.center.y - a.start.y;
+            lines.push(`${g} X${(a.end.x + t.x).toFixed(3)} Y${(a.end.y + t.y).toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${p.feedRate}`);
+        });
+        if (inward) {
+            // The last turn can be wider than the tool: finish on the centre
+            lines.push(`G1 X${center.x.toFixed(3)} Y${center.y.toFixed(3)} F${p.feedRate}`);
+        }
+    }
+
+    /**
+     * Concentric rectangles over the shape's bounds, outside in, finishing
+     * with a line along the middle of the last one.
+     */
+    emitFacingRectangles(lines, p, state, outline, step, climb, z) {
+        const t = this.getTranslation();
+        const xs = outline.map(pt => pt.x), ys = outline.map(pt => pt.y);
+        const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        let hx = (Math.max(...xs) - Math.min(...xs)) / 2 + (p.passExtX || 0);
+        let hy = (Math.max(...ys) - Math.min(...ys)) / 2 + (p.passExtY || 0);
+        const at = (x, y) => ({ x: cx + x + t.x, y: cy + y + t.y });
+
+        let last = null;
+        while (hx > 0.001 && hy > 0.001) {
+            // From the bottom-left corner; climb runs counter-clockwise (material inside, on the left)
+            const corners = climb
+                ? [at(-hx, -hy), at(hx, -hy), at(hx, hy), at(-hx, hy)]
+                : [at(-hx, -hy), at(-hx, hy), at(hx, hy), at(hx, -hy)];
+            // Step in diagonally at depth, the next ring starts inside this one
+            this.pocketLinkTo(lines, state, corners[0], z, !!last);
+            for (let i = 1; i <= 4; i++) {
+                const c = corners[i % 4];
+                lines.push(`G1 X${c.x.toFixed(3)} Y${c.y.toFixed(3)} F${p.feedRate}`);
+            }
+            state.pos = corners[0];
+            last = { hx, hy };
+            hx -= step;
+            hy -= step;
+        }
+
+        if (last) {
+            const d = Math.min(last.hx, last.hy);
+            const a = last.hx >= last.hy ? at(-(last.hx - d), 0) : at(0, -(last.hy - d));
+            const b = last.hx >= last.hy ? at(last.hx - d, 0) : at(0, last.hy - d);
+            lines.push(`G1 X${a.x.toFixed(3)} Y${a.y.toFixed(3)} F${p.feedRate}`);
+            lines.push(`G1 X${b.x.toFixed(3)} Y${b.y.toFixed(3)} F${p.feedRate}`);
+            state.pos = b;
+        }
+    }
+
+    /**
+     * Pocket stepover, 40% of the tool by default. Wider steps than the tool
+     * would leave ridges standing between the passes, so it is capped there.
+     */
+    getPocketStep(p) {
+        const step = p.pocketStepover > 0 ? p.pocketStepover : (p.toolDiameter * 0.4);
+        if (step > p.toolDiameter) {
+            this.warnings.push(`Pocket: stepover limited to the tool diameter (${this.post.describeLength(p.toolDiameter, 3)})`);
+            return p.toolDiameter;
+        }
+        return step;
+    }
+
+    generatePocket(lines, p) {
+        // Pocket Logic: Clear everything inside the shape boundary down to depth.
+        // Region the tool centre may visit = outline shrunk by tool radius (+ finishing allowance).
+        const r = p.toolDiameter / 2;
+        const allowance = p.pocketFinish ? Math.max(0, p.pocketAllowance || 0) : 0;
+        const step = this.getPocketStep(p);
+        const climb = p.pocketDirection !== 'conventional';
+        const t = this.getTranslation();
+
+        const outline = this.getShapeOutline(p.shape);
+        if (outline.length < 3) {
+            lines.push('; Pocket skipped: no closed shape');
+            return;
+        }
+
+        const regions = this.getPocketRegions(p.shape, outline, r + allowance);
+        if (regions.length === 0) {
+            lines.push('; Pocket skipped: tool too large for shape');
+            return;
+        }
+
+        lines.push(`; Pocket: ${p.pocketStrategy === 'zigzag' ? 'Zig-Zag' : 'Offset'} | Stepover ${this.post.describeLength(step, 3)} | ${climb ? 'Climb' : 'Conventional'}`);
+
+        // Cutting State (tracks tool so we can decide between feed links and retracts)
+        const state = { pos: null, z: null };
+        const reliefs = this.getCornerReliefs(p.shape);
+        if (reliefs.length) lines.push(`; Corner Relief: ${p.cornerRelief} at corners ${reliefs.map(rl => rl.corner).join(', ')}`);
+
+        const emitRing = (ring, z) => {
+            // Pocket walls are inside cuts: Climb = CW, Conventional = CCW
+            if (ring.radius !== undefined) {
+                // Any chord of a circle stays inside it
+                const start = { x: ring.radius + t.x, y: t.y };
+                this.pocketLinkTo(lines, state, start, z, !!ring.link);
+                const dir = climb ? 'G2' : 'G3';
+                lines.push(`${dir} X${start.x.toFixed(3)} Y${start.y.toFixed(3)} I${(-ring.radius).toFixed(3)} J0.000 F${p.feedRate}`);
+                state.pos = start;
+                return;
+            }
+
+            let pts = climb ? [...ring.points].reverse() : ring.points;
+            // Start where we already are to keep links short
+            if (state.pos) pts = startNearest(pts, { x: state.pos.x - t.x, y: state.pos.y - t.y });
+            const start = { x: pts[0].x + t.x, y: pts[0].y + t.y };
+
+            // Boundary/finish rings: feed across only if the link doesn't leave the ring
+            let link = ring.link;
+            if (link === 'check') {
+                link = !!state.pos && !pts.some((pt, i) => segmentsCross(
+                    { x: state.pos.x - t.x, y: state.pos.y - t.y }, pts[0], pt, pts[(i + 1) % pts.length]));
+            }
+            this.pocketLinkTo(lines, state, start, z, link);
+            for (let i = 1; i <= pts.length; i++) {
+                const pt = pts[i % pts.length];
+                lines.push(`G1 X${(pt.x + t.x).toFixed(3)} Y${(pt.y + t.y).toFixed(3)} F${p.feedRate}`);
+
+                // Overcut the corners of the finished wall
+                const relief = ring.wall && reliefs.find(rl => Math.hypot(rl.at.x - pt.x, rl.at.y - pt.y) < 0.001);
+                if (relief) {
+                    lines.push(`G1 X${(relief.to.x + t.x).toFixed(3)} Y${(relief.to.y + t.y).toFixed(3)} F${p.feedRate}`);
+                    lines.push(`G1 X${(pt.x + t.x).toFixed(3)} Y${(pt.y + t.y).toFixed(3)} F${p.feedRate}`);
+                }
+            }
+            state.pos = start;
+        };
+
+        this.getStepDownLevels(p, p.targetDepth).forEach(currentZ => {
+
+            lines.push(`; Pocket Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
+
+            regions.forEach(region => {
+                if (p.pocketStrategy === 'zigzag') {
+                    this.getZigZagChains(region, step).forEach(chain => {
+                        chain.forEach((pt, i) => {
+                            const target = { x: pt.x + t.x, y: pt.y + t.y };
+                            if (i === 0) {
+                                this.pocketLinkTo(lines, state, target, currentZ, false);
+                            } else {
+                                lines.push(`G1 X${target.x.toFixed(3)} Y${target.y.toFixed(3)} F${p.feedRate}`);
+                            }
+                            state.pos = target;
+                        });
+                    });
+                    // Clean up the scallops left along the boundary
+                    lines.push('; Boundary Pass');
+                    emitRing({ ...region, link: 'check', wall: allowance === 0 }, currentZ);
+                } else {
+                    // The last ring is the region boundary: the wall unless a finish pass follows
+                    this.getOffsetRings(region, step).forEach(ring => emitRing({ ...ring, wall: allowance === 0 && ring.points === region.points }, currentZ));
+                }
+            });
+
+        });
+
+        // Finishing Pass: removes the allowance at the real wall, full depth in one lap
+        if (allowance > 0) {
+            const finalZ = -p.targetDepth;
+            lines.push(`; Wall Finish Pass at Z=${this.post.describeCoord(finalZ, 2)}`);
+            this.getPocketRegions(p.shape, outline, r).forEach(region => emitRing({ ...region, link: 'check', wall: true }, finalZ));
+        }
+    }
+
+    /**
+     * Helical boring for circles: the tool spirals down on a small helix,
+     * then spirals out to the hole wall at each step-down, so the whole hole
+     * is cleared with a flat floor. Through holes go `boreBreakthrough` past
+     * the target depth; a counterbore is bored first and the through hole
+     * continues from its floor.
+     */
+    generateBore(lines, p) {
+        if (p.shape !== 'circle') {
+            this.warnings.push('Helical boring needs a circle shape');
+            lines.push('; Helical bore skipped: the shape is not a circle');
+            return;
+        }
+        const type = p.boreType || 'through';
+        const breakthrough = type === 'blind' ? 0 : Math.max(0, p.boreBreakthrough || 0);
+        const bottomZ = -(p.targetDepth + breakthrough);
+        const describe = (d) => this.post.describeLength(d);
+        const pitch = p.borePitch > 0 ? p.borePitch : (p.passDepth > 0 ? p.passDepth : p.targetDepth);
+        lines.push(`; Helical Bore: ${type} | Dia ${describe(p.diameter)} | Pitch ${describe(pitch)}`);
+
+        let topZ = 0;
+        let linked = null;
+        if (type === 'counterbore') {
+            const cbDepth = Math.min(p.boreCbDepth, p.targetDepth);
+            if (p.boreCbDiameter > p.diameter && cbDepth > 0) {
+                lines.push(`; Counterbore: Dia ${describe(p.boreCbDiameter)} x ${describe(cbDepth)} deep`);
+                linked = this.emitBore(lines, p, p.boreCbDiameter / 2, 0, -cbDepth, null);
+                if (linked !== null) topZ = -cbDepth;
+            } else {
+                this.warnings.push('Helical bore: the counterbore must be wider than the hole and have a depth');
+            }
+        }
+        if (topZ > bottomZ) {
+            if (linked !== null) lines.push(`; Hole: Dia ${describe(p.diameter)}`);
+            this.emitBore(lines, p, p.diameter / 2, topZ, bottomZ, linked);
+        }
+    }
+
+    /**
+     * One flat-bottomed bore from topZ down to bottomZ. With `linked` (an X
+     * offset on the centre line) the tool is already at topZ inside a wider
+     * bore and feeds across to the helix; with null it comes down from safe Z.
+     * Returns the X offset the tool finishes at, or null (cutting nothing)
+     * when the hole is not wider than the tool.
+     */
+    emitBore(lines, p, radius, topZ, bottomZ, linked) {
+        const r = p.toolDiameter / 2;
+        const wallR = radius - r; // Tool centre radius at the finished wall
+        if (wallR <= 0.001) {
+            this.warnings.push(`Helical bore: a ${this.post.describeLength(radius * 2)} hole needs a smaller tool`);
+            lines.push('; Bore skipped: hole not wider than the tool');
+            return null;
+        }
+        const t = this.getTranslation();
+        const helixR = Math.min(wallR, r / 2); // Small enough to leave no core
+        const stepDown = p.passDepth > 0 ? p.passDepth : (topZ - bottomZ);
+        const pitch = p.borePitch > 0 ? p.borePitch : stepDown;
+        // Without a stepover or a tool size, go straight out to the wall
+        const step = p.boreStepover > 0 ? p.boreStepover : (p.toolDiameter > 0 ? p.toolDiameter * 0.4 : 2 * wallR);
+        const g = 'G2'; // Inside cut: clockwise is climb
+        const fmt = (x, y) => `X${(x + t.x).toFixed(3)} Y${(y + t.y).toFixed(3)}`;
+        const circle = (rad, z) => `${g} ${fmt(rad, 0)}${z !== undefined ? ` Z${z.toFixed(3)}` : ''} I${(-rad).toFixed(3)} J0.000 F${p.feedRate}`;
+
+        let x = helixR;
+        let z = topZ;
+        if (linked !== null) {
+            x = linked;
+        } else {
+            z = topZ + (p.rampClearance || 0.5);
+            lines.push(this.getRapidXY(helixR + t.x, t.y));
+            lines.push(this.getRapidZ(z));
+        }
+
+        let level = topZ;
+        while (level > bottomZ + 1e-9) {
+            level = Math.max(level - stepDown, bottomZ);
+            if (Math.abs(x - helixR) > 1e-6) {
+                // Back to the helix across the floor already cleared
+                lines.push(`G1 ${fmt(helixR, 0)} F${p.feedRate}`);
+                x = helixR;
+            }
+
+            // Whole turns, none steeper than the pitch
+            const turns = Math.max(1, Math.ceil((z - level) / pitch - 1e-9));
+            lines.push(`; Helix to Z${this.post.describeCoord(level, 3)} (${turns} turn${turns > 1 ? 's' : ''})`);
+            for (let i = 1; i <= turns; i++) lines.push(circle(helixR, z - (z - level) * i / turns));
+            z = level;
+            lines.push(circle(helixR)); // Flatten the floor of the helix
+
+            // Spiral out: half turns about centres either side of the middle, growing by step per turn
+            if (wallR > helixR + 1e-6) {
+                while (Math.abs(x) < wallR - 1e-6) {
+                    const next = Math.min(Math.abs(x) + step / 2, wallR) * (x > 0 ? -1 : 1);
+                    const cx = (x + next) / 2;
+                    lines.push(`${g} ${fmt(next, 0)} I${(cx - x).toFixed(3)} J0.000 F${p.feedRate}`);
+                    x = next;
+                }
+                // One full lap to finish the wall
+                lines.push(`${g} ${fmt(x, 0)} I${(-x).toFixed(3)} J0.000 F${p.feedRate}`);
+            }
+        }
+        return x;
+    }
+
+    /**
+     * Chamfer: a V-bit (or chamfer mill) runs around the shape with its cone
+     * on the top edge, leaving a bevel `chamferWidth` wide. The tip goes
+     * `chamferTipOffset` below the bottom of the bevel so it doesn't rub the
+     * corner; the tool centre sits where the cone meets the top surface
+     * `chamferWidth` in from the edge.
+     */
+    generateChamfer(lines, p) {
+        if (p.toolType !== 'vbit') {
+            this.warnings.push('Chamfer needs a V-bit or chamfer mill: set the tool type to V-Bit');
+            lines.push('; Chamfer skipped: the tool is not a V-bit');
+            return;
+        }
+        const tool = this.getTool(p);
+        const slope = Math.tan(tool.angle / 2 * Math.PI / 180); // Radius gained per mm of depth
+        const tipR = tool.tip / 2;
+        let width = p.chamferWidth;
+        const tipOffset = Math.max(0, p.chamferTipOffset || 0);
+        if (!(width > 0) || !(slope > 0)) {
+            lines.push('; Chamfer skipped: no chamfer width');
+            return;
+        }
+
+        // The cone ends at the cutter diameter
+        const maxWidth = p.toolDiameter / 2 - tipR - tipOffset * slope;
+        if (maxWidth <= 0) {
+            this.warnings.push('Chamfer: the tip offset leaves no cone to cut with');
+            lines.push('; Chamfer skipped: tip offset too large for the V-bit');
+            return;
+        }
+        if (width > maxWidth) {
+            this.warnings.push(`Chamfer: width limited to ${this.post.describeLength(maxWidth, 3)} by the V-bit diameter`);
+            width = maxWidth;
+        }
+
+        const depth = width / slope + tipOffset;
+        const reach = tipR + depth * slope - width; // Tool centre beyond the edge
+        const offset = p.chamferSide === 'inside' ? -reach : reach;
+        lines.push(`; Chamfer: ${this.post.describeLength(width, 3)} wide on the ${p.chamferSide === 'inside' ? 'inside' : 'outside'} edge | Tool Z${this.post.describeCoord(-depth, 3)} | Offset ${this.post.describeLength(reach, 3)}`);
+
+        const path = this.getDirectedPath(p.shape, offset, p.chamferSide === 'inside');
+        if (path.segments.length === 0) {
+            lines.push('; Chamfer skipped: the tool does not fit this shape');
+            return;
+        }
+        const t = this.getTranslation();
+        lines.push(this.getRapidXY(path.start.x + t.x, path.start.y + t.y));
+
+        // Deep bevels step down like any other cut
+        let currentZ = 0;
+        while (currentZ > -depth + 1e-9) {
+            currentZ = Math.max(currentZ - (p.passDepth > 0 ? p.passDepth : depth), -depth);
+            lines.push(`G1 Z${currentZ.toFixed(3)} F${p.plungeRate}`);
+            const moves = [];
+            this.emitPath(moves, path, { feedRate: p.feedRate, startZ: currentZ });
+            lines.push(...moves);
+        }
+    }
+
+    /**
+     * Area to V-carve in machine coordinates: the outline font text if the
+     * sketch has any, otherwise the selected shape.
+     */
+    getVCarveRegion(p) {
+        const textRings = [];
+        (p.textObjects || []).forEach(obj => {
+            const font = getFont(obj.font);
+            if (font && font.outline) textRings.push(...this.getOutlineTextRegion(obj, font));
+        });
+        if (textRings.length) return resolvePolygons(textRings, 0.01);
+
+        const t = this.getTranslation();
+        const outline = this.getShapeOutline(p.shape);
+        if (outline.length < 3) return [];
+        return [outline.map(pt => ({ x: pt.x + t.x, y: pt.y + t.y }))];
+    }
+
+    /**
+     * V-Carve: the V-bit follows the medial axis of the shape, going deeper
+     * where the shape is wider so the cone touches both walls. Where the
+     * shape is wider than the bit reaches at max depth the floor is flat:
+     * its walls are traced at max depth and the floor can be cleared with
+     * an end mill after a tool change.
+     */
+    generateVCarve(lines, p) {
+        if (p.toolType !== 'vbit') {
+            this.warnings.push('V-Carve needs a V-bit: set the tool type to V-Bit');
+            lines.push('; V-Carve skipped: the tool is not a V-bit');
+            return;
+        }
+        const region = this.getVCarveRegion(p);
+        if (region.length === 0) {
+            lines.push('; V-Carve skipped: no closed shape or outline font text');
+            return;
+        }
+
+        const tool = this.getTool(p);
+        const slope = Math.tan(tool.angle / 2 * Math.PI / 180); // Radius gained per mm of depth
+        const tipR = tool.tip / 2;
+        let maxDepth = p.vcarveMaxDepth > 0 ? p.vcarveMaxDepth : p.targetDepth;
+        // The cone ends at the cutter diameter
+        const fluteDepth = (p.toolDiameter / 2 - tipR) / slope;
+        if (fluteDepth > 0 && fluteDepth < maxDepth) {
+            this.warnings.push(`V-Carve: max depth limited to ${this.post.describeLength(fluteDepth, 3)} by the V-bit diameter`);
+            maxDepth = fluteDepth;
+        }
+        const maxR = tipR + maxDepth * slope;
+        const depthAt = (r) => Math.min(maxDepth, Math.max(0, (r - tipR) / slope));
+
+        // Sample finely enough for small lettering without exploding big shapes
+        const perimeter = region.reduce((sum, ring) => sum + polygonPerimeter(ring), 0);
+        const spacing = Math.min(0.25, Math.max(0.05, perimeter / 6000));
+        const axis = medialAxis(region, spacing).filter(path => path.some(pt => depthAt(pt.r) > 0.001));
+        const paths = axis.length ? this.planPathOrder(axis, axis[0][0])
+            .map(({ index, reversed }) => reversed ? [...axis[index]].reverse() : axis[index]) : [];
+
+        lines.push(`; V-Carve: ${this.describeTool(tool)} | Max Depth ${this.post.describeLength(maxDepth, 3)}`);
+
+        const state = { pos: null, z: null };
+        const feedTo = (pt, z) => {
+            lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} Z${z.toFixed(3)} F${p.feedRate}`);
+            state.pos = pt;
+            state.z = z;
+        };
+
+        let level = 0;
+        while (level < maxDepth - 1e-9) {
+            level = Math.min(maxDepth, level + (p.passDepth > 0 ? p.passDepth : maxDepth));
+            lines.push(`; V-Carve Pass at Z=${this.post.describeCoord(-level, 2)}`);
+
+            // Centre lines, never deeper than this pass
+            paths.forEach(path => {
+                const zs = path.map(pt => -Math.min(level, depthAt(pt.r)));
+                // Continue without lifting when this path starts where the last one ended
+                const joined = state.pos && Math.hypot(path[0].x - state.pos.x, path[0].y - state.pos.y) < 1e-6;
+                if (!joined) {
+                    if (state.z !== null) lines.push(this.getRapidZ(p.safeZ));
+                    lines.push(this.getRapidXY(path[0].x, path[0].y));
+                    lines.push(`G1 Z${zs[0].toFixed(3)} F${p.plungeRate}`);
+                    state.pos = path[0];
+                    state.z = zs[0];
+                } else if (Math.abs(zs[0] - state.z) > 1e-6) {
+                    feedTo(path[0], zs[0]);
+                }
+                for (let i = 1; i < path.length; i++) feedTo(path[i], zs[i]);
+            });
+
+            // Walls of the parts too wide for the cone at this depth
+            const wallR = tipR + level * slope;
+            const walls = offsetRegion(region, -wallR);
+            if (walls.length) lines.push('; Flat Area Walls');
+            walls.forEach(ring => {
+                const pts = state.pos ? startNearest(ring, state.pos) : ring;
+                this.pocketLinkTo(lines, state, pts[0], -level, false);
+                for (let i = 1; i <= pts.length; i++) {
+                    const pt = pts[i % pts.length];
+                    lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} F${p.feedRate}`);
+                }
+                state.pos = pts[0];
+            });
+        }
+        lines.push(this.getRapidZ(p.safeZ));
+
+        if (p.vcarveFlat) this.clearVCarveFloor(lines, p, region, maxR, maxDepth);
+    }
+
+    // Clears the flat floors of a V-carve with an end mill
+    clearVCarveFloor(lines, p, region, maxR, maxDepth) {
+        const millD = p.vcarveFlatTool > 0 ? p.vcarveFlatTool : 3.175;
+        const millR = millD / 2;
+        const boundary = offsetRegion(region, -(maxR + millR));
+        if (boundary.length === 0) {
+            lines.push('; Flat-bottom clearing skipped: no flat area wide enough for the end mill');
+            return;
+        }
+
+        const step = millD * 0.4;
+        const rings = this.getRegionRings(boundary, step);
+        const canFeed = (from, to) => !!from && Math.hypot(to.x - from.x, to.y - from.y) <= step * 1.5 &&
+            !boundary.some(ring => ring.some((pt, i) => segmentsCross(from, to, pt, ring[(i + 1) % ring.length])));
+
+        lines.push(`; Flat-Bottom Clearing: ${this.post.describeLength(millD)} end mill | Stepover ${this.post.describeLength(step, 3)}`);
+        this.pushToolChange(lines, { type: 'endmill', diameter: millD }, p.safeZ, p.spindleSpeed);
+
+        const state = { pos: null, z: null };
+        let currentZ = 0;
+        while (currentZ > -maxDepth) {
+            currentZ = Math.max(-maxDepth, currentZ - (p.passDepth > 0 ? p.passDepth : maxDepth));
+            lines.push(`; Clearing Pass at Z=${this.post.describeCoord(currentZ, 2)}`);
+            rings.forEach(ring => {
+                // Climb: against the region's winding
+                let pts = [...ring].reverse();
+                if (state.pos) pts = startNearest(pts, state.pos);
+                this.pocketLinkTo(lines, state, pts[0], currentZ, canFeed(state.pos, pts[0]));
+                for (let i = 1; i <= pts.length; i++) {
+                    const pt = pts[i % pts.length];
+                    lines.push(`G1 X${pt.x.toFixed(3)} Y${pt.y.toFixed(3)} F${p.feedRate}`);
+                }
+                state.pos = pts[0];
+            });
+        }
+        lines.push(this.getRapidZ(p.safeZ));
+    }
+
+    generateDrill(lines, p) {
+        // Drill Logic: Plunge (optionally peck) at every hole in the pattern.
+        // Canned cycles are shorter, but GRBL doesn't support G81-G83 so the
+        // default is to expand them into plain G0/G1 moves.
+        const t = this.getTranslation();
+        const holes = this.orderByNearest(this.getDrillHoles());
+        if (holes.length === 0) {
+            lines.push('; Drill skipped: no holes defined');
+            return;
+        }
+
+        const depth = -p.targetDepth;
+        const retractZ = p.drillRetract > 0 ? Math.min(p.drillRetract, p.safeZ) : Math.min(1, p.safeZ);
+        const peck = p.drillPeck > 0 && p.drillPeck < p.targetDepth ? p.drillPeck : 0;
+        const dwell = p.drillDwell > 0 ? p.drillDwell : 0;
+
+        lines.push(`; Drill: ${holes.length} holes | ${peck ? `Peck ${this.post.describeLength(peck)}` : 'No Peck'}${dwell ? ` | Dwell ${dwell}s` : ''}`);
+
+        if (p.drillCycle === 'canned' && !this.post.supports('G81')) {
+            lines.push(`; ${this.post.name} has no canned drilling cycles, expanded instead`);
+        } else if (p.drillCycle === 'canned') {
+            // G98: Return to initial Z (Safe Z) between holes
+            let cycle = `G81`;
+            let extra = '';
+            if (peck) {
+                cycle = 'G83';
+                extra = ` Q${peck.toFixed(3)}`;
+                if (dwell) lines.push('; Note: G83 has no dwell word, dwell ignored');
+            } else if (dwell) {
+                cycle = 'G82';
+                extra = ` P${dwell}`;
+            }
+            lines.push('G98');
+            holes.forEach((h, i) => {
+                const x = (h.x + t.x).toFixed(3);
+                const y = (h.y + t.y).toFixed(3);
+                if (i === 0) {
+                    lines.push(`${cycle} X${x} Y${y} Z${depth.toFixed(3)} R${retractZ.toFixed(3)}${extra} F${p.plungeRate}`);
+                } else {
+                    lines.push(`X${x} Y${y}`);
+                }
+            });
+            lines.push('G80 ; Cancel canned cycle');
+            return;
+        }
+
+        holes.forEach((h, i) => {
+            lines.push(`; Hole ${i + 1}`);
+            lines.push(this.getRapidXY(h.x + t.x, h.y + t.y));
+            lines.push(this.getRapidZ(retractZ));
+
+            if (peck) {
+                // G83 style: full retract to R after every peck to clear chips,
+                // then rapid back down to just above the last depth.
+                let drilled = 0;
+                while (drilled < p.targetDepth - 0.0001) {
+                    const next = Math.min(drilled + peck, p.targetDepth);
+                    if (drilled > 0) lines.push(this.getRapidZ(Math.min(retractZ, -drilled + 0.5)));
+                    lines.push(`G1 Z${(-next).toFixed(3)} F${p.plungeRate}`);
+                    drilled = next;
+                    if (drilled < p.targetDepth - 0.0001) lines.push(this.getRapidZ(retractZ));
+                }
+            } else {
+                lines.push(`G1 Z${depth.toFixed(3)} F${p.plungeRate}`);
+            }
+
+            if (dwell) lines.push(`G4 P${dwell}`);
+            lines.push(this.getRapidZ(p.safeZ));
+        });
+    }
+
+    /**
+     * Hole centres for the drill pattern (relative to center, like shapes).
+     */
+    getDrillHoles() {
+        const p = this.params;
+        const cx = p.drillCenterX || 0;
+        const cy = p.drillCenterY || 0;
+        const holes = [];
+
+        if (p.drillPattern === 'grid') {
+            const rows = Math.max(1, Math.floor(p.drillRows || 1));
+            const cols = Math.max(1, Math.floor(p.drillCols || 1));
+            const sx = p.drillSpacingX || 0;
+            const sy = p.drillSpacingY || 0;
+            // Grid is centred on the pattern center
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    holes.push({
+                        x: cx + (c - (cols - 1) / 2) * sx,
+                        y: cy + (r - (rows - 1) / 2) * sy
+                    });
+                }
+            }
+        } else if (p.drillPattern === 'bolt') {
+            const count = Math.max(1, Math.floor(p.drillCount || 1));
+            const r = (p.drillBoltDiameter || 0) / 2;
+            const start = ((p.drillStartAngle || 0) * Math.PI) / 180;
+            for (let i = 0; i < count; i++) {
+                const a = start + (i / count) * Math.PI * 2;
+                holes.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
+            }
+        } else {
+            (p.drillPoints || []).forEach(pt => holes.push({ x: pt.x, y: pt.y }));
+        }
+        return holes;
+    }
+
+    // Greedy nearest neighbour ordering, starting from the origin side
+    orderByNearest(points) {
+        const remaining = [...points];
+        const ordered = [];
+        let cur = { x: -Infinity, y: -Infinity };
+        if (remaining.length) {
+            // Start at the bottom-left most point
+            cur = remaining.reduce((a, b) => (b.x + b.y < a.x + a.y ? b : a));
+        }
+        while (remaining.length) {
+            let best = 0, bestD = Infinity;
+            remaining.forEach((pt, i) => {
+                const d = (pt.x - cur.x) ** 2 + (pt.y - cur.y) ** 2;
+                if (d < bestD) { bestD = d; best = i; }
+            });
+            cur = remaining.splice(best, 1)[0];
+            ordered.push(cur);
+        }
+        return ordered;
+    }
+
+    /**
+     * Areas the tool centre may clear: the outline shrunk by `inset`.
+     * Circles stay true circles ({radius}), everything else is polygons ({points}).
+     */
+    getPocketRegions(shape, outline, inset) {
+        const p = this.params;
+        if (shape === 'circle') {
+            const radius = (p.diameter / 2) - inset;
+            return radius > 0.001 ? [{ radius }] : [];
+        }
+        return offsetPolygon(outline, -inset).filter(l => polygonArea(l) > 0).map(points => ({ points }));
+    }
+
+    /**
+     * Concentric rings for offset clearing, innermost first so we cut outwards
+     * towards the wall. `link` marks rings that can be reached at depth from
+     * the previous one (it sits inside the ring we're moving to).
+     */
+    getOffsetRings(region, step) {
+        const rings = [];
+        if (region.radius !== undefined) {
+            for (let rad = region.radius; rad > 0.001; rad -= step) {
+                rings.unshift({ radius: rad, link: true });
+            }
+            if (rings.length) rings[0].link = false;
+            return rings;
+        }
+
+        // Each offset can split into several islands; walk them depth first
+        const visit = (points) => {
+            const children = offsetPolygon(points, -step).filter(l => polygonArea(l) > 0);
+            children.forEach((child, i) => {
+                visit(child);
+                // Only the last child's end is next to the parent ring
+                if (i < children.length - 1) rings[rings.length - 1].last = true;
+            });
+            const prev = rings[rings.length - 1];
+            rings.push({ points, link: !!prev && !prev.last });
+        };
+        visit(region.points);
+        return rings;
+    }
+
+    /**
+     * Zig-Zag raster (along X) over a region. Returns chains of points that can
+     * be cut without lifting; rows are only joined when the link stays inside.
+     */
+    getZigZagChains(region, step) {
+        const pts = region.points || this.circlePoints(region.radius);
+        const ys = pts.map(pt => pt.y);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const count = Math.max(1, Math.ceil((maxY - minY) / step));
+        const spacing = (maxY - minY) / count;
+        const inset = Math.min(0.001, spacing / 4);
+
+        // Intervals per row
+        const rows = [];
+        for (let i = 0; i <= count; i++) {
+            let y = minY + i * spacing;
+            if (i === 0) y += inset;
+            if (i === count) y -= inset;
+            const xs = [];
+            for (let k = 0; k < pts.length; k++) {
+                const a = pts[k], b = pts[(k + 1) % pts.length];
+                if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+                    xs.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+                }
+            }
+            xs.sort((a, b) => a - b);
+            const intervals = [];
+            for (let k = 0; k + 1 < xs.length; k += 2) {
+                if (xs[k + 1] - xs[k] > 0.001) intervals.push({ x1: xs[k], x2: xs[k + 1], y, used: false });
+            }
+            rows.push(intervals);
+        }
+
+        const crossesBoundary = (a, b) => {
+            for (let k = 0; k < pts.length; k++) {
+                if (segmentsCross(a, b, pts[k], pts[(k + 1) % pts.length])) return true;
+            }
+            return false;
+        };
+
+        const chains = [];
+        for (let i = 0; i < rows.length; i++) {
+            rows[i].forEach(first => {
+                if (first.used) return;
+                const chain = [];
+                let cur = first, row = i, forward = true;
+                while (cur) {
+                    cur.used = true;
+                    const a = { x: forward ? cur.x1 : cur.x2, y: cur.y };
+                    const b = { x: forward ? cur.x2 : cur.x1, y: cur.y };
+                    chain.push(a, b);
+                    forward = !forward;
+                    row++;
+                    if (row >= rows.length) break;
+                    // Next row: an overlapping interval we can reach without leaving the region
+                    cur = rows[row].find(next => !next.used && next.x1 < cur.x2 && next.x2 > cur.x1 &&
+                        !crossesBoundary(b, { x: forward ? next.x1 : next.x2, y: next.y })) || null;
+                }
+                chains.push(chain);
+            });
+        }
+        return chains;
+    }
+
+    // Moves from the current position to `target` at depth z. Short links
+    // inside already-cleared area are fed; anything else retracts.
+    pocketLinkTo(lines, state, target, z, canFeed) {
+        const p = this.params;
+        if (state.pos && state.z === z) {
+            const d = Math.hypot(target.x - state.pos.x, target.y - state.pos.y);
+            if (d < 0.001) return;
+            if (canFeed) {
+                lines.push(`G1 X${target.x.toFixed(3)} Y${target.y.toFixed(3)} F${p.feedRate}`);
+                return;
+            }
+        }
+        if (state.z !== null) lines.push(this.getRapidZ(p.safeZ));
+        lines.push(this.getRapidXY(target.x, target.y));
+        lines.push(`G1 Z${z.toFixed(3)} F${p.plungeRate}`);
+        state.z = z;
+        state.pos = target;
+    }
+
+    circlePoints(radius, tolerance = 0.005) {
+        const segs = arcSegments(radius, Math.PI * 2, tolerance);
+        const pts = [];
+        for (let i = 0; i < segs; i++) {
+            const a = (i / segs) * Math.PI * 2;
+            pts.push({ x: radius * Math.cos(a), y: radius * Math.sin(a) });
+        }
+        return pts;
+    }
+
+    /**
+     * Boundary of the selected shape as a CCW polygon (relative to center).
+     */
+    getShapeOutline(shape) {
+        const p = this.params;
+        if (shape === 'square' || shape === 'rectangle') {
+            const w = p.width / 2;
+            const h = (shape === 'square' ? p.width : p.height) / 2;
+            return [{ x: -w, y: -h }, { x: w, y: -h }, { x: w, y: h }, { x: -w, y: h }];
+        }
+        if (shape === 'circle') return this.circlePoints(p.diameter / 2);
+        if (shape === 'sketch' && p.sketchPoints && p.sketchPoints.length > 2) return ensureCCW(p.sketchPoints);
+        if (shape === 'roundrect' || shape === 'slot') return this.flattenPath(this.getContourPath(shape, 0));
+        if (shape === 'ellipse') return ellipsePolygon(p.width / 2, p.height / 2);
+        if (shape === 'polygon') return this.centreOnBounds(regularPolygon(p.polygonSides, p.diameter / 2));
+        if (shape === 'star') return this.centreOnBounds(starPolygon(p.starPoints, p.diameter / 2, p.innerDiameter / 2));
+        return [];
+    }
+
+    /**
+     * Moves a polygon so its bounding box is centred on the origin, like the
+     * other shapes (odd-sided polygons and stars aren't, about their centre).
+     */
+    centreOnBounds(pts) {
+        const xs = pts.map(pt => pt.x);
+        const ys = pts.map(pt => pt.y);
+        const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        return pts.map(pt => ({ x: pt.x - cx, y: pt.y - cy }));
+    }
+
+    /**
+     * Contour path as a polygon, arcs split within the chord tolerance.
+     */
+    flattenPath(path, tolerance = 0.005) {
+        const pts = [path.start];
+        let from = path.start;
+        path.segments.forEach(seg => {
+            if (seg.type === 'arc') {
+                const r = Math.hypot(from.x - seg.center.x, from.y - seg.center.y);
+                const n = arcSegments(r, seg.sweep, tolerance);
+                for (let k = 1; k < n; k++) pts.push(this.pointOnSegment(from, seg, k / n));
+            }
+            pts.push(seg.end);
+            from = seg.end;
+        });
+        // The closing point repeats the start
+        if (pts.length > 1) pts.pop();
+        return pts.length > 2 ? pts : [];
     }
 
+    /**
+     * Lead-in to the start of a pass, tangent to the path in the direction
+     * it is cut. Radius leads are arcs on circles and fall back to linear
+     * on other shapes.
+     */
     getLeadIn(shape, startPos, offset, p) {
         if (!p.leadType || p.leadType === 'none' || !p.leadInLen) return null;
-        
+
         const len = p.leadInLen;
         const feed = p.feedRate;
         const moves = [];
         let leadStart = { ...startPos };
+        const { tangent, normal } = this.getLeadFrame(shape, offset, 'start');
 
-        // Tangent Vector at Start (Normalized)
-        // Square: Start Bottom-Left, First Move Right (1, 0)
-        // Circle: Start 3 o'clock, First Move Up (0, 1)
-        let tx = 0, ty = 0;
-        let nx = 0, ny = 0; // Normal pointing OUT from shape
-
-        if (shape === 'square' || shape === 'rectangle') {
-            tx = 1; ty = 0;
-            nx = 0; ny = -1; // Bottom edge normal is down
-        } else if (shape === 'circle') {
-            tx = 0; ty = 1;
-            nx = 1; ny = 0; // 3 o'clock normal is right
-        } else if (shape === 'sketch' && p.sketchPoints.length > 1) {
-             // Vector P0 -> P1
-             const p0 = p.sketchPoints[0];
-             const p1 = p.sketchPoints[1];
-             const dx = p1.x - p0.x;
-             const dy = p1.y - p0.y;
-             const mag = Math.sqrt(dx*dx + dy*dy);
-             if(mag > 0) { tx = dx/mag; ty = dy/mag; }
-             nx = ty; ny = -tx; // Right hand normal
-        }
-
-        if (p.leadType === 'linear') {
-            // Linear Tangent: Start = Target - Tangent * Len
-            leadStart.x = startPos.x - (tx * len);
-            leadStart.y = startPos.y - (ty * len);
+        if (p.leadType === 'radius' && shape === 'circle') {
+            // Quarter circle arriving along the tangent, curving in from the
+            // waste side: outside the part, or inside the hole
+            const side = p.operation === 'inside' ? -1 : 1;
+            const center = { x: startPos.x + normal.x * side * len, y: startPos.y + normal.y * side * len };
+            const ccw = tangent.x * (center.y - startPos.y) - tangent.y * (center.x - startPos.x) > 0;
+            const v = { x: startPos.x - center.x, y: startPos.y - center.y };
+            // Step back 90 degrees from the end of the arc
+            leadStart = ccw
+                ? { x: center.x + v.y, y: center.y - v.x }
+                : { x: center.x - v.y, y: center.y + v.x };
+            const I = center.x - leadStart.x;
+            const J = center.y - leadStart.y;
+            moves.push(`${ccw ? 'G3' : 'G2'} X${startPos.x.toFixed(3)} Y${startPos.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feed}`);
+        } else {
+            // Linear tangent (also the radius fallback): start behind the path
+            leadStart.x = startPos.x - (tangent.x * len);
+            leadStart.y = startPos.y - (tangent.y * len);
             moves.push(`G1 X${startPos.x.toFixed(3)} Y${startPos.y.toFixed(3)} F${feed}`);
-        } 
-        else if (p.leadType === 'radius' && shape === 'circle') {
-            // Radius Lead for Circle
-            // 90 deg arc
-            // Tangent at End (startPos) must be (tx, ty).
-            // Center of Arc must be perpendicular to tangent.
-            // If Outside Cut: Center is Outward. StartPos + Normal * R.
-            // If Inside Cut: Center is Inward. StartPos - Normal * R.
-            
-            const isInside = p.operation === 'inside';
-            // If Trace (center), treat as outside for now
-            
-            // Vector to Center
-            let cx = isInside ? -nx : nx; 
-            let cy = isInside ? -ny : ny;
-            
-            // Center Point
-            const centerX = startPos.x + (cx * len);
-            const centerY = startPos.y + (cy * len);
-            
-            // Start Point on Arc (90 deg back)
-            // Tangent at Start should be Perpendicular to (tx, ty).
-            // Actually simpler: Rotate StartPos around Center by +/- 90.
-            // If Outside (Center Out):
-            // Arc goes Left/In to touch wall.
-            // Start Point is (CenterX + ty*R, CenterY - tx*R)? 
-            
-            // Let's use relative I,J logic.
-            // End is StartPos.
-            // Center is (CenterX, CenterY).
-            // I_end = CenterX - StartPos.x = cx*len
-            // J_end = CenterY - StartPos.y = cy*len
-            
-            // Start of Arc: 
-            // We want G3 (CCW) or G2 (CW)? 
-            // Usually Lead In curves in same direction? 
-            // Circle is CCW. Lead In usually CCW.
-            
-            // If CCW Arc ending at StartPos with Tangent (tx, ty).
-            // Center is LEFT of Tangent.
-            // Tangent is (0, 1). Left is (-1, 0).
-            // So Center is at StartPos + (-1, 0)*R = StartPos - Normal*R?
-            // Wait, Normal for Circle (3 oclock) is (1, 0).
-            // So Center is StartPos - Normal*R = Inward?
-            // Yes, if we are tracing CCW, center of curvature is Inward.
-            // So a Tangent Arc must also have center Inward?
-            // That would mean Lead Arc is part of the Circle? No.
-            
-            // We want to come from Outside.
-            // So Center of Lead Arc must be Outward?
-            // If Center is Outward (Right), and we move CCW.
-            // 3 o'clock: Outward is Right. Center at (R+r, 0).
-            // Arc from (R+r, -r) -> (R, 0).
-            // Tangent at (R, 0) for that arc is (0, 1). Correct.
-            // So Center is Outward.
-            
-            if (p.operation === 'outside' || p.operation === 'center') {
-                // Center Outward
-                // Start Point: (StartPos.x + nx*len + ty*len, StartPos.y + ny*len - tx*len) ?
-                // Let's visualize. Center (Start.x + len, Start.y).
-                // We want to end at Start. Arc is CCW.
-                // Start Point must be "below".
-                // (Center.x, Center.y - len).
-                
-                // Rotated -90 deg relative to normal?
-                leadStart.x = centerX + (ny * len); 
-                leadStart.y = centerY + (-nx * len); // (0, -1) relative to Center
-                
-                // G3 to StartPos.
-                // I, J from LeadStart to Center.
-                const I = centerX - leadStart.x;
-                const J = centerY - leadStart.y;
-                
-                moves.push(`G3 X${startPos.x.toFixed(3)} Y${startPos.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feed}`);
-                
-            } else {
-                // Inside: Center Inward.
-                // Center (Start.x - len, Start.y).
-                // We want end at Start. Arc CCW.
-                // Start Point must be "below"? No.
-                // If Center is Left. Arc CCW.
-                // To arrive at (R, 0) heading Up (0, 1).
-                // We must come from Right of Center?
-                // (Center.x + len, Center.y) = StartPos.
-                // That's a full circle?
-                // No.
-                // LeadIn: We want to start inside the hole.
-                // StartPos (R, 0). Center (R-len, 0).
-                // We want to arrive at (R, 0) moving Up.
-                // CCW Arc.
-                // Start must be (Center.x + len, Center.y) ?? That is StartPos.
-                
-                // Wait. If we are Inside, we want to start *further in*.
-                // And Arc *Out* to the wall.
-                // So Center should be somewhat Up/Down?
-                // Tangent at StartPos is Up.
-                // Perpendicular is Left/Right.
-                // Center must be on Left/Right line.
-                // If Center is Left (Inward):
-                // Arc touches StartPos at rightmost point.
-                // Tangent is Up.
-                // So we approach from Bottom-Right of Center?
-                // Start Point: (Center.x, Center.y - len).
-                // Moves to (Center.x + len, Center.y).
-                // I from Start to Center: (0, len).
-                // Start Point is (StartPos.x - len, StartPos.y - len).
-                
-                const cX = startPos.x - (nx * len);
-                const cY = startPos.y - (ny * len);
-                
-                leadStart.x = cX + (ny * len); // +0
-                leadStart.y = cY + (-nx * len); // -1 * len
-                
-                const I = cX - leadStart.x;
-                const J = cY - leadStart.y;
-                
-                moves.push(`G3 X${startPos.x.toFixed(3)} Y${startPos.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feed}`);
-            }
-        }
-        else {
-             // Fallback for other shapes/modes to Linear or None
-             // For Square Radius lead - defaulting to Linear for safety as discussed
-             if (p.leadType === 'radius') {
-                 // Fallback Linear
-                 leadStart.x = startPos.x - (tx * len);
-                 leadStart.y = startPos.y - (ty * len);
-                 moves.push(`G1 X${startPos.x.toFixed(3)} Y${startPos.y.toFixed(3)} F${feed}`);
-             }
         }
 
         return { start: leadStart, moves: moves };
     }
 
+    /**
+     * Lead-out from the end of a pass (back at its start, the path being
+     * closed), carrying on along the direction of cut.
+     */
     getLeadOut(shape, startPos, offset, p) {
         if (!p.leadType || p.leadType === 'none' || !p.leadOutLen) return null;
-        
+
         const len = p.leadOutLen;
         const feed = p.feedRate;
         const moves = [];
-        
-        // Tangent Vector at End (Same as Start for closed loop)
-        // We want to depart from StartPos.
-        // For Square: End Tangent is Down (0, -1). (Left Edge closing loop)
-        // For Circle: End Tangent is Up (0, 1). (Closing loop)
-        
-        let tx = 0, ty = 0;
-        let nx = 0, ny = 0;
+        const { tangent, normal } = this.getLeadFrame(shape, offset, 'end');
 
-        if (shape === 'square' || shape === 'rectangle') {
-            tx = 0; ty = -1; // Moving Down
-            nx = 1; ny = 0;  // Normal Out (Right)
-        } else if (shape === 'circle') {
-            tx = 0; ty = 1; // Moving Up
-            nx = 1; ny = 0; // Normal Out (Right)
-        } else if (shape === 'sketch' && p.sketchPoints.length > 1) {
-            // Vector P_last -> P0
-            const p0 = p.sketchPoints[0];
-            const pLast = p.sketchPoints[p.sketchPoints.length - 1];
-            const dx = p0.x - pLast.x;
-            const dy = p0.y - pLast.y;
-            const mag = Math.sqrt(dx*dx + dy*dy);
-            if(mag > 0) { tx = dx/mag; ty = dy/mag; }
-             nx = ty; ny = -tx; 
-        }
-
-        if (p.leadType === 'linear') {
-            // Linear Tangent: Target = StartPos + Tangent * Len
-            const endX = startPos.x + (tx * len);
-            const endY = startPos.y + (ty * len);
+        if (p.leadType === 'radius' && shape === 'circle') {
+            // Quarter circle peeling off towards the waste side
+            const side = p.operation === 'inside' ? -1 : 1;
+            const center = { x: startPos.x + normal.x * side * len, y: startPos.y + normal.y * side * len };
+            const ccw = tangent.x * (center.y - startPos.y) - tangent.y * (center.x - startPos.x) > 0;
+            const v = { x: startPos.x - center.x, y: startPos.y - center.y };
+            const end = ccw
+                ? { x: center.x - v.y, y: center.y + v.x }
+                : { x: center.x + v.y, y: center.y - v.x };
+            const I = center.x - startPos.x;
+            const J = center.y - startPos.y;
+            moves.push(`${ccw ? 'G3' : 'G2'} X${end.x.toFixed(3)} Y${end.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feed}`);
+        } else {
+            // Linear tangent (also the radius fallback)
+            const endX = startPos.x + (tangent.x * len);
+            const endY = startPos.y + (tangent.y * len);
             moves.push(`G1 X${endX.toFixed(3)} Y${endY.toFixed(3)} F${feed}`);
         }
-        else if (p.leadType === 'radius' && shape === 'circle') {
-             const isInside = p.operation === 'inside';
-             
-             // Center Position
-             // Outside: Outward (Start + N*len)
-             // Inside: Inward (Start - N*len)
-             let cx = isInside ? -nx : nx;
-             let cy = isInside ? -ny : ny;
-             
-             const cX = startPos.x + (cx * len);
-             const cY = startPos.y + (cy * len);
-             const I = cX - startPos.x;
-             const J = cY - startPos.y;
-             
-             // End Point Calculation
-             let relEndX, relEndY, dir;
-             
-             if (!isInside) {
-                 // Outside: Curve Right (Away) -> CW (G2)
-                 // Start Rel: (-len, 0) (if nx=1)
-                 // CW 90: (x,y) -> (y, -x)
-                 // (-len, 0) -> (0, len)
-                 // End Rel: (0, len) -> Up and Right.
-                 // Vector Math: Rotate (-cx, -cy) CW 90.
-                 // (-cx, -cy) is Vector Center->Start.
-                 // CW: (-cy, cx)
-                 relEndX = -cy * len;
-                 relEndY = cx * len;
-                 dir = 'G2';
-             } else {
-                 // Inside: Curve Left (Into Hole) -> CCW (G3)
-                 // Start Rel: (len, 0) (if nx=1, cx=-1).
-                 // Center is Left. Start is Right.
-                 // Vector Center->Start is (len, 0).
-                 // CCW 90: (x,y) -> (-y, x)
-                 // (len, 0) -> (0, len)
-                 // End Rel: (0, len) -> Up and Left.
-                 // Vector Math: Rotate (-cx, -cy) CCW 90.
-                 // CCW: (cy, -cx)
-                 // If cx=-1, cy=0. -cx=1. -> (0, 1). Correct.
-                 relEndX = cy * len;
-                 relEndY = -cx * len;
-                 dir = 'G3';
-             }
-             
-             const finalX = cX + relEndX;
-             const finalY = cY + relEndY;
-             
-             moves.push(`${dir} X${finalX.toFixed(3)} Y${finalY.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feed}`);
-        }
-        else {
-             // Fallback Linear
-             if (p.leadType === 'radius') {
-                const endX = startPos.x + (tx * len);
-                const endY = startPos.y + (ty * len);
-                moves.push(`G1 X${endX.toFixed(3)} Y${endY.toFixed(3)} F${feed}`);
-             }
-        }
-        
+
         return { moves };
     }
 
+    /**
+     * Direction of travel and the outward normal (away from the shape) where
+     * a pass starts or ends.
+     */
+    getLeadFrame(shape, offset, at) {
+        const path = this.getDirectedPath(shape, offset);
+        const tangent = this.getPathTangents(path)[at];
+        // Outward is on the right of a counter-clockwise path, the left of a clockwise one
+        const turn = this.isReversedCut() ? -1 : 1;
+        return { tangent, normal: { x: turn * tangent.y, y: -turn * tangent.x } };
+    }
+
     getRapidZ(z) {
         const p = this.params;
         if (p.enableRapid) {
@@ -619,7 +2110,8 @@ export class GCodeGenerator {
 
     getTranslation() {
         const p = this.params;
-        const t = { x: 0, y: 0 };
+        // Array copies are shifted from the part as drawn
+        const t = { x: this.arrayOffset.x, y: this.arrayOffset.y };
         const originVal = p.origin || 'stock-center';
 
         let w = 0;
@@ -639,10 +2131,10 @@ export class GCodeGenerator {
 
         if (pos === 'center') return t;
 
-        if (pos === 'bottom-left') { t.x = w/2; t.y = h/2; }
-        else if (pos === 'bottom-right') { t.x = -w/2; t.y = h/2; }
-        else if (pos === 'top-left') { t.x = w/2; t.y = -h/2; }
-        else if (pos === 'top-right') { t.x = -w/2; t.y = -h/2; }
+        if (pos === 'bottom-left') { t.x += w/2; t.y += h/2; }
+        else if (pos === 'bottom-right') { t.x += -w/2; t.y += h/2; }
+        else if (pos === 'top-left') { t.x += w/2; t.y += -h/2; }
+        else if (pos === 'top-right') { t.x += -w/2; t.y += -h/2; }
 
         return t;
     }
@@ -663,297 +2155,599 @@ export class GCodeGenerator {
             return { x: r + t.x, y: 0 + t.y };
         }
         else if (shape === 'sketch') {
-            if (p.sketchPoints && p.sketchPoints.length > 0) {
-                return { x: p.sketchPoints[0].x + t.x, y: p.sketchPoints[0].y + t.y };
+            const contour = this.getSketchContour(offset);
+            if (contour.length > 0) {
+                return { x: contour[0].x + t.x, y: contour[0].y + t.y };
             }
         }
+        else if (PARAMETRIC_SHAPES.includes(shape)) {
+            const start = this.getContourPath(shape, offset).start;
+            return { x: start.x + t.x, y: start.y + t.y };
+        }
         return { x: 0, y: 0 };
     }
 
-    getShapePath(shape, offset, feedRate, currentZ, rampData = null) {
+    /**
+     * Tool centre path for the sketch polygon at the given offset
+     * (+ve = outside, -ve = inside). Always CCW like the other shapes,
+     * starting at the corner nearest the first sketched point.
+     * Returns [] if the offset collapses the shape.
+     */
+    getSketchContour(offset) {
         const p = this.params;
-        const t = this.getTranslation();
-        const moves = [];
+        if (!p.sketchPoints || p.sketchPoints.length < 3) return [];
 
-        // Tab Logic
-        const tabTopZ = -(p.targetDepth - p.tabThickness);
-        // We cut tabs if currentZ is LOWER (deeper) than the top of the tab
-        const isTabPass = !rampData && p.enableTabs && p.tabs && p.tabs.length > 0 && (currentZ < tabTopZ - 0.001);
+        const key = `${offset}|${p.offsetJoin || 'miter'}`;
+        if (this.contourCache.has(key)) return this.contourCache.get(key);
 
-        if (rampData) {
-            // RAMPING GENERATION
-            const totalDrop = rampData.targetZ - rampData.startZ; // Negative
-            const angleRad = (rampData.angle * Math.PI) / 180;
-            const distNeeded = Math.abs(totalDrop) / Math.tan(angleRad);
-            
-            // Calculate Perimeter
-            let perimeter = 0;
-            if (shape === 'circle') {
-                const r = (p.diameter / 2) + offset;
-                perimeter = 2 * Math.PI * Math.abs(r); 
-            } else if (shape === 'square' || shape === 'rectangle') {
-                const wRaw = (shape === 'square' ? p.width : p.width);
-                const hRaw = (shape === 'square' ? p.width : p.height);
-                // Approx perimeter based on bounding box + offset
-                 const wEff = wRaw + (offset * 2);
-                 const hEff = hRaw + (offset * 2);
-                 perimeter = (Math.abs(wEff) * 2) + (Math.abs(hEff) * 2);
+        // If an inside offset splits the shape (narrow waist), the largest piece is cut
+        const loops = offsetPolygon(p.sketchPoints, offset, { join: p.offsetJoin || 'miter' });
+        const outer = loops.find(l => l.length > 2) || [];
+        const contour = startNearest(outer, p.sketchPoints[0]);
+
+        this.contourCache.set(key, contour);
+        return contour;
+    }
+
+    /**
+     * Tool centre path around an ellipse, polygon or star at the given
+     * offset, offset like the sketch outline. Starts at the corner nearest
+     * the first outline point. Returns [] if the offset collapses the shape.
+     */
+    getOutlineContour(shape, offset) {
+        const p = this.params;
+        const key = `${shape}|${offset}|${p.offsetJoin || 'miter'}`;
+        if (this.contourCache.has(key)) return this.contourCache.get(key);
+
+        const outline = this.getShapeOutline(shape);
+        let contour = [];
+        if (outline.length > 2) {
+            const loops = offsetPolygon(outline, offset, { join: p.offsetJoin || 'miter' });
+            contour = startNearest(loops.find(l => l.length > 2) || [], outline[0]);
+        }
+
+        this.contourCache.set(key, contour);
+        return contour;
+    }
+
+    /**
+     * Closed tool path for a shape as segments relative to the shape centre:
+     * { start, segments: [{ type: 'line', end } | { type: 'arc', end, center, sweep }] }.
+     * Arc sweep is in radians, positive = CCW (G3).
+     */
+    getContourPath(shape, offset) {
+        const p = this.params;
+        if (shape === 'square' || shape === 'rectangle') {
+            const w = p.width / 2 + offset;
+            const h = (shape === 'square' ? p.width : p.height) / 2 + offset;
+            return {
+                start: { x: -w, y: -h },
+                segments: [
+                    { type: 'line', end: { x: w, y: -h } },
+                    { type: 'line', end: { x: w, y: h } },
+                    { type: 'line', end: { x: -w, y: h } },
+                    { type: 'line', end: { x: -w, y: -h } }
+                ]
+            };
+        }
+        if (shape === 'circle') {
+            const r = (p.diameter / 2) + offset;
+            return {
+                start: { x: r, y: 0 },
+                segments: [{ type: 'arc', end: { x: r, y: 0 }, center: { x: 0, y: 0 }, sweep: 2 * Math.PI }]
+            };
+        }
+        if (shape === 'roundrect') {
+            const w = p.width / 2 + offset;
+            const h = p.height / 2 + offset;
+            if (w <= 0 || h <= 0) return { start: { x: 0, y: 0 }, segments: [] };
+            // Corners stay concentric with the outline's, so deep inside offsets turn sharp
+            const r = Math.min(Math.max(0, (p.cornerRadius || 0) + offset), w, h);
+            const centres = [{ x: w - r, y: -h + r }, { x: w - r, y: h - r }, { x: -w + r, y: h - r }, { x: -w + r, y: -h + r }];
+            const dirs = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }];
+            const start = { x: -w + r, y: -h };
+            const segments = [];
+            let pos = start;
+            centres.forEach((c, i) => {
+                const arcStart = { x: c.x + dirs[i].x * r, y: c.y + dirs[i].y * r };
+                const arcEnd = { x: c.x + dirs[(i + 1) % 4].x * r, y: c.y + dirs[(i + 1) % 4].y * r };
+                if (Math.hypot(arcStart.x - pos.x, arcStart.y - pos.y) > 1e-9) segments.push({ type: 'line', end: arcStart });
+                if (r > 1e-9) segments.push({ type: 'arc', end: arcEnd, center: c, sweep: Math.PI / 2 });
+                pos = arcEnd;
+            });
+            return { start, segments };
+        }
+        if (shape === 'slot') {
+            // Obround along X: two straights joined by half circles
+            const r = p.slotWidth / 2 + offset;
+            const l = Math.max(0, (p.slotLength - p.slotWidth) / 2);
+            if (r <= 0) return { start: { x: 0, y: 0 }, segments: [] };
+            const segments = [];
+            if (l > 0) segments.push({ type: 'line', end: { x: l, y: -r } });
+            segments.push({ type: 'arc', end: { x: l, y: r }, center: { x: l, y: 0 }, sweep: Math.PI });
+            if (l > 0) segments.push({ type: 'line', end: { x: -l, y: r } });
+            segments.push({ type: 'arc', end: { x: -l, y: -r }, center: { x: -l, y: 0 }, sweep: Math.PI });
+            return { start: { x: -l, y: -r }, segments };
+        }
+        if (shape === 'sketch' || PARAMETRIC_SHAPES.includes(shape)) {
+            const contour = shape === 'sketch' ? this.getSketchContour(offset) : this.getOutlineContour(shape, offset);
+            if (contour.length < 2) return { start: contour[0] || { x: 0, y: 0 }, segments: [] };
+            // Close loop (contour doesn't duplicate last point)
+            const segments = contour.slice(1).map(pt => ({ type: 'line', end: pt }));
+            segments.push({ type: 'line', end: contour[0] });
+            return { start: contour[0], segments };
+        }
+        return { start: { x: 0, y: 0 }, segments: [] };
+    }
+
+    /**
+     * 'climb' or 'conventional' for a contour, resolving 'auto' from the
+     * stock material. Unset ('ccw') keeps the path as drawn, counter-clockwise:
+     * outside cuts climb and inside cuts go conventional.
+     */
+    getCutDirection(p) {
+        if (p.cutDirection === 'climb' || p.cutDirection === 'conventional') return p.cutDirection;
+        if (p.cutDirection === 'auto') return CLIMB_MATERIALS.includes(p.stockMaterial) ? 'climb' : 'conventional';
+        return p.operation === 'inside' ? 'conventional' : 'climb';
+    }
+
+    /**
+     * Whether the cut runs clockwise. Contour paths are built counter-clockwise,
+     * which climbs with the material on the left: outside cuts (and traces).
+     * Inside cuts climb clockwise.
+     */
+    isReversedCut(inside = this.params.operation === 'inside') {
+        return (this.getCutDirection(this.params) === 'climb') === inside;
+    }
+
+    /**
+     * Contour path in the direction it is cut, from the same start point.
+     */
+    getDirectedPath(shape, offset, inside) {
+        const path = this.getContourPath(shape, offset);
+        return this.isReversedCut(inside) ? this.reversePath(path) : path;
+    }
+
+    /**
+     * The same closed path walked the other way: segments in reverse order,
+     * each ending where it used to start, arcs with the opposite sweep.
+     */
+    reversePath(path) {
+        const points = [path.start, ...path.segments.map(seg => seg.end)];
+        const segments = path.segments.map((seg, i) => seg.type === 'arc'
+            ? { ...seg, end: points[i], sweep: -seg.sweep }
+            : { ...seg, end: points[i] });
+        return { start: path.start, segments: segments.reverse() };
+    }
+
+    segmentLength(from, seg) {
+        if (seg.type === 'arc') {
+            return Math.abs(seg.sweep) * Math.hypot(from.x - seg.center.x, from.y - seg.center.y);
+        }
+        return Math.hypot(seg.end.x - from.x, seg.end.y - from.y);
+    }
+
+    getPathLength(path) {
+        let len = 0;
+        let from = path.start;
+        path.segments.forEach(seg => {
+            len += this.segmentLength(from, seg);
+            from = seg.end;
+        });
+        return len;
+    }
+
+    /**
+     * Point at fraction t (0..1) along a single segment.
+     */
+    pointOnSegment(from, seg, t) {
+        if (seg.type === 'arc') {
+            const r = Math.hypot(from.x - seg.center.x, from.y - seg.center.y);
+            const a = Math.atan2(from.y - seg.center.y, from.x - seg.center.x) + seg.sweep * t;
+            return { x: seg.center.x + r * Math.cos(a), y: seg.center.y + r * Math.sin(a) };
+        }
+        return this.interpolate(from, seg.end, t);
+    }
+
+    /**
+     * Unit directions of travel at the start and at the end of a closed path.
+     */
+    getPathTangents(path) {
+        const tangent = (from, seg, atEnd) => {
+            if (seg.type === 'arc') {
+                const pt = atEnd ? seg.end : from;
+                const rx = pt.x - seg.center.x;
+                const ry = pt.y - seg.center.y;
+                const r = Math.hypot(rx, ry) || 1;
+                const s = seg.sweep > 0 ? 1 : -1;
+                return { x: -s * ry / r, y: s * rx / r };
             }
-            
-            if (perimeter <= 0) perimeter = 1; // Safety
-            
-            const loops = Math.ceil(distNeeded / perimeter);
-            const dropPerLoop = totalDrop / loops;
-            
-            let zCursor = rampData.startZ;
-            
-            for (let l = 0; l < loops; l++) {
-                const loopEndZ = zCursor + dropPerLoop;
-                // Clamp last loop to exact target
-                const targetZForLoop = (l === loops - 1) ? rampData.targetZ : loopEndZ;
-                const dropForThisLoop = targetZForLoop - zCursor;
-                
-                if (shape === 'circle') {
-                    const r = (p.diameter / 2) + offset;
-                    // Full Circle Helix
-                    const endX = r + t.x;
-                    const endY = 0 + t.y;
-                    const I = -r;
-                    const J = 0;
-                    moves.push(`G3 X${endX.toFixed(3)} Y${endY.toFixed(3)} Z${targetZForLoop.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feedRate}`);
-                } 
-                else if (shape === 'square' || shape === 'rectangle') {
-                    // Linear Helix
-                    const wRaw = (shape === 'square' ? p.width : p.width);
-                    const hRaw = (shape === 'square' ? p.width : p.height);
-                    const w = wRaw / 2 + offset;
-                    const h = hRaw / 2 + offset;
-
-                    const bl = { x: -w, y: -h }; 
-                    const br = { x: w, y: -h };
-                    const tr = { x: w, y: h };
-                    const tl = { x: -w, y: h };
-                    
-                    const sides = [
-                        { start: bl, end: br, len: Math.abs(w*2) },
-                        { start: br, end: tr, len: Math.abs(h*2) },
-                        { start: tr, end: tl, len: Math.abs(w*2) },
-                        { start: tl, end: bl, len: Math.abs(h*2) }
-                    ];
-                    
-                    const totalLen = sides.reduce((s, side) => s + side.len, 0);
-                    
-                    sides.forEach(side => {
-                        const fraction = side.len / totalLen;
-                        const zDropSide = dropForThisLoop * fraction;
-                        zCursor += zDropSide; // Increment cursor
-                        moves.push(`G1 X${(side.end.x + t.x).toFixed(3)} Y${(side.end.y + t.y).toFixed(3)} Z${zCursor.toFixed(3)} F${feedRate}`);
-                    });
-                    
-                    zCursor = targetZForLoop; 
-                    continue; 
+            const dx = seg.end.x - from.x;
+            const dy = seg.end.y - from.y;
+            const len = Math.hypot(dx, dy) || 1;
+            return { x: dx / len, y: dy / len };
+        };
+        const segs = path.segments;
+        if (segs.length === 0) return { start: { x: 1, y: 0 }, end: { x: 1, y: 0 } };
+        const lastFrom = segs.length > 1 ? segs[segs.length - 2].end : path.start;
+        return { start: tangent(path.start, segs[0], false), end: tangent(lastFrom, segs[segs.length - 1], true) };
+    }
+
+    /**
+     * Distance along a path to where a ray from the shape centre at `angle`
+     * (radians) first crosses it, or null if it doesn't.
+     */
+    getPathDistanceAtAngle(path, angle) {
+        const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+        const cross = (a, b) => a.x * b.y - a.y * b.x;
+        let walked = 0;
+        let from = path.start;
+        for (const seg of path.segments) {
+            const segLen = this.segmentLength(from, seg);
+            const steps = seg.type === 'arc' ? 32 : 1;
+            let a = from;
+            for (let k = 1; k <= steps; k++) {
+                const b = k === steps ? seg.end : this.pointOnSegment(from, seg, k / steps);
+                const e = { x: b.x - a.x, y: b.y - a.y };
+                const den = cross(e, dir);
+                if (Math.abs(den) > 1e-12) {
+                    const u = -cross(a, dir) / den;
+                    const along = (a.x + u * e.x) * dir.x + (a.y + u * e.y) * dir.y;
+                    if (u >= 0 && u < 1 && along > 0) return walked + segLen * (k - 1 + u) / steps;
                 }
-                
-                zCursor = targetZForLoop;
+                a = b;
             }
-            return moves;
+            walked += segLen;
+            from = seg.end;
         }
+        return null;
+    }
+
+    /**
+     * Angle (radians) from the centre towards a tab on a parametric shape.
+     * Rounded rectangle tabs are a side and a % along it, measured from the
+     * left (bottom/top) or from the bottom (left/right).
+     */
+    getTabAngle(shape, tab) {
+        const p = this.params;
+        if (tab.angle !== undefined) return (tab.angle * Math.PI) / 180;
+        if (shape !== 'roundrect' || !tab.side) return null;
+        const w = p.width, h = p.height, off = (tab.offset || 0) / 100;
+        const pt = {
+            bottom: { x: -w / 2 + w * off, y: -h / 2 },
+            top: { x: -w / 2 + w * off, y: h / 2 },
+            left: { x: -w / 2, y: -h / 2 + h * off },
+            right: { x: w / 2, y: -h / 2 + h * off }
+        }[tab.side];
+        return pt ? Math.atan2(pt.y, pt.x) : null;
+    }
 
-        if (shape === 'sketch') {
-            if (p.sketchPoints && p.sketchPoints.length > 1) {
-                // Sketch points are relative to center (0,0)
-                // We are already at point 0.
-                for (let i = 1; i < p.sketchPoints.length; i++) {
-                    const pt = p.sketchPoints[i];
-                    moves.push(`G1 X${(pt.x + t.x).toFixed(3)} Y${(pt.y + t.y).toFixed(3)} F${feedRate}`);
+    /**
+     * Where the tabs of a parametric shape sit on its outline, for the preview.
+     */
+    getTabPoints(shape) {
+        const p = this.params;
+        if (!PARAMETRIC_SHAPES.includes(shape) || !p.tabs) return [];
+        const path = this.getContourPath(shape, 0);
+        const len = this.getPathLength(path);
+        const points = [];
+        p.tabs.forEach(tab => {
+            const angle = this.getTabAngle(shape, tab);
+            const d = angle === null ? null : this.getPathDistanceAtAngle(path, angle);
+            if (d === null) return;
+            // Walk to the segment holding the tab
+            let from = path.start;
+            let walked = 0;
+            for (const seg of path.segments) {
+                const segLen = this.segmentLength(from, seg);
+                if (d <= walked + segLen || walked + segLen >= len - 1e-9) {
+                    points.push(this.pointOnSegment(from, seg, segLen > 0 ? (d - walked) / segLen : 0));
+                    return;
                 }
-                // Close loop (Sketcher doesn't duplicate last point)
-                const start = p.sketchPoints[0];
-                moves.push(`G1 X${(start.x + t.x).toFixed(3)} Y${(start.y + t.y).toFixed(3)} F${feedRate}`);
+                walked += segLen;
+                from = seg.end;
             }
-            return moves;
-        }
+        });
+        return points;
+    }
 
-        if (shape === 'square' || shape === 'rectangle') {
-            const wRaw = (shape === 'square' ? p.width : p.width);
-            const hRaw = (shape === 'square' ? p.width : p.height);
-            const w = wRaw / 2 + offset;
-            const h = hRaw / 2 + offset;
-
-            // Corners (Relative to center)
-            const bl = { x: -w, y: -h }; // Start
-            const br = { x: w, y: -h };
-            const tr = { x: w, y: h };
-            const tl = { x: -w, y: h };
-            
-            // Segments: Bottom (BL->BR), Right (BR->TR), Top (TR->TL), Left (TL->BL)
-            const sides = [
-                { name: 'bottom', start: bl, end: br, len: w*2, axis: 'x' },
-                { name: 'right', start: br, end: tr, len: h*2, axis: 'y' },
-                { name: 'top', start: tr, end: tl, len: w*2, axis: 'x' },
-                { name: 'left', start: tl, end: bl, len: h*2, axis: 'y' }
-            ];
-
-            sides.forEach(side => {
-                let sideMoves = [];
-                // Find tabs for this side
-                const sideTabs = isTabPass ? p.tabs.filter(tb => tb.side === side.name) : [];
-                
-                if (sideTabs.length === 0) {
-                    // Normal Move
-                    sideMoves.push({ x: side.end.x + t.x, y: side.end.y + t.y });
-                } else {
-                    // Sort tabs by offset %
-                    sideTabs.sort((a, b) => a.offset - b.offset);
-                    
-                    let currentPos = { ...side.start }; // Local coords
+    /**
+     * Tab gaps as sorted, merged {start, end} distances along a contour path.
+     * Rectangle tabs are side + percentage, circle tabs an angle from 3 o'clock,
+     * sketch tabs a distance along the sketch outline (from the first sketched
+     * point, counter-clockwise) scaled onto the offset contour. Parametric
+     * shapes use an angle (see getTabAngle). Distances are along the
+     * counter-clockwise path; getCutPath turns them round for clockwise cuts.
+     */
+    getTabGaps(shape, offset, len) {
+        const p = this.params;
+        if (!p.enableTabs || !p.tabs || p.tabs.length === 0 || len <= 0) return [];
 
-                    sideTabs.forEach(tab => {
-                        // Calculate Tab Center distance from start
-                        const dist = side.len * (tab.offset / 100);
-                        const tabHalfW = p.tabWidth / 2;
-                        
-                        // Tab Start/End distances
-                        const dStart = Math.max(0, dist - tabHalfW);
-                        const dEnd = Math.min(side.len, dist + tabHalfW);
-                        
-                        // Check if valid tab (has length)
-                        if (dEnd > dStart) {
-                            // Interpolate Position for Tab Start
-                            const pStart = this.interpolate(side.start, side.end, dStart / side.len);
-                            const pEnd = this.interpolate(side.start, side.end, dEnd / side.len);
-                            
-                            // Move to Tab Start (Cut)
-                            moves.push(`G1 X${(pStart.x + t.x).toFixed(3)} Y${(pStart.y + t.y).toFixed(3)} F${feedRate}`);
-                            
-                            // Lift to Tab Top
-                            // Usually use RapidZ or FeedZ? For tab hopping, G1 is safer/smoother usually, or G0 if rapid enabled.
-                            // We'll use getRapidZ logic but targeting tabTopZ
-                            if (p.enableRapid) {
-                                moves.push(`G1 Z${tabTopZ.toFixed(3)} F${p.rapidZ}`); 
-                            } else {
-                                moves.push(`G0 Z${tabTopZ.toFixed(3)}`);
-                            }
-                            
-                            // Move to Tab End (at Tab Height)
-                            moves.push(`G1 X${(pEnd.x + t.x).toFixed(3)} Y${(pEnd.y + t.y).toFixed(3)} F${feedRate}`);
-                            
-                            // Plunge back to currentZ
-                             moves.push(`G1 Z${currentZ.toFixed(3)} F${p.plungeRate}`);
-                        }
-                    });
-                    
-                    // Final move to End of Side
-                    sideMoves.push({ x: side.end.x + t.x, y: side.end.y + t.y });
+        const centers = [];
+        if (shape === 'square' || shape === 'rectangle') {
+            const w = p.width + offset * 2;
+            const h = (shape === 'square' ? p.width : p.height) + offset * 2;
+            const sides = { bottom: [0, w], right: [w, h], top: [w + h, w], left: [2 * w + h, h] };
+            p.tabs.forEach(tab => {
+                const side = sides[tab.side];
+                if (side) centers.push(side[0] + side[1] * (tab.offset / 100));
+            });
+        } else if (shape === 'circle') {
+            const r = (p.diameter / 2) + offset;
+            p.tabs.forEach(tab => {
+                if (tab.angle !== undefined) centers.push(r * (tab.angle * Math.PI) / 180);
+            });
+        } else if (shape === 'sketch') {
+            const outlineLen = polygonPerimeter(this.getSketchContour(0));
+            if (outlineLen <= 0) return [];
+            p.tabs.forEach(tab => {
+                if (tab.distance !== undefined) {
+                    centers.push((((tab.distance % outlineLen) + outlineLen) % outlineLen) * (len / outlineLen));
                 }
-
-                // Add side moves (only the cut ones, headers were added in loop)
-                sideMoves.forEach(m => {
-                    moves.push(`G1 X${m.x.toFixed(3)} Y${m.y.toFixed(3)} F${feedRate}`);
-                });
             });
+        } else if (PARAMETRIC_SHAPES.includes(shape)) {
+            const path = this.getContourPath(shape, offset);
+            p.tabs.forEach(tab => {
+                const angle = this.getTabAngle(shape, tab);
+                const d = angle === null ? null : this.getPathDistanceAtAngle(path, angle);
+                if (d !== null) centers.push(d);
+            });
+        }
 
-        } 
-        else if (shape === 'circle') {
-            const r = (p.diameter / 2) + offset;
-            
-            if (!isTabPass) {
-                // Normal Circle
-                const endX = r + t.x;
-                const endY = 0 + t.y;
-                const I = -r;
-                const J = 0;
-                moves.push(`G3 X${endX.toFixed(3)} Y${endY.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feedRate}`);
+        const half = p.tabWidth / 2;
+        const gaps = [];
+        centers.forEach(center => {
+            center = ((center % len) + len) % len;
+            const start = center - half;
+            const end = center + half;
+            // Tabs straddling the start point are split in two
+            if (start < 0) {
+                gaps.push({ start: 0, end }, { start: len + start, end: len });
+            } else if (end > len) {
+                gaps.push({ start, end: len }, { start: 0, end: end - len });
             } else {
-                // Tabbed Circle
-                const sortedTabs = [...p.tabs].sort((a, b) => a.angle - b.angle);
-                let currentAngle = 0; // Start at 3 o'clock
-                
-                // Helper to get coords from angle
-                const getCoords = (angleDeg) => {
-                    const rad = (angleDeg * Math.PI) / 180;
-                    return {
-                        x: t.x + r * Math.cos(rad),
-                        y: t.y + r * Math.sin(rad)
-                    };
-                };
-
-                // Helper for Arc Move
-                const addArc = (startAng, endAng) => {
-                    // G3 params
-                    // Target (endAng)
-                    const end = getCoords(endAng);
-                    
-                    // I, J are offset from Start Point to Center
-                    // Start Point is implicitly current pos.
-                    // Center is (t.x, t.y).
-                    // So I = Center.x - Start.x
-                    // J = Center.y - Start.y
-                    const start = getCoords(startAng);
-                    const I = t.x - start.x;
-                    const J = t.y - start.y;
-                    
-                    moves.push(`G3 X${end.x.toFixed(3)} Y${end.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feedRate}`);
-                };
-
-                sortedTabs.forEach(tab => {
-                    // Tab Width in Angle
-                    // ArcLength = r * theta_rad
-                    // theta_rad = Width / r
-                    // theta_deg = (Width / r) * (180/PI)
-                    const halfAngleW = ((p.tabWidth / r) * (180 / Math.PI)) / 2;
-                    
-                    let startA = tab.angle - halfAngleW;
-                    let endA = tab.angle + halfAngleW;
-                    
-                    // Handle wrapping? For simplicity, clamp/skip if crossing 0/360 boundary for now, 
-                    // or assume user defines properly.
-                    // If startA < 0, it wraps. Complex. 
-                    // Simple logic: If tab is within current segment (Current -> 360).
-                    
-                    if (startA > currentAngle) {
-                        // Cut arc from current to Tab Start
-                        addArc(currentAngle, startA);
-                        
-                        // Lift
-                         if (p.enableRapid) {
-                            moves.push(`G1 Z${tabTopZ.toFixed(3)} F${p.rapidZ}`); 
-                        } else {
-                            moves.push(`G0 Z${tabTopZ.toFixed(3)}`);
-                        }
-                        
-                        // Move over tab (Linear or Arc? Ideally Arc to keep shape)
-                        // G3 at height
-                        const tabEnd = getCoords(endA);
-                        // I,J from new start (TabStart)
-                        const tabStart = getCoords(startA);
-                        const I = t.x - tabStart.x;
-                        const J = t.y - tabStart.y;
-                        moves.push(`G3 X${tabEnd.x.toFixed(3)} Y${tabEnd.y.toFixed(3)} I${I.toFixed(3)} J${J.toFixed(3)} F${feedRate}`);
+                gaps.push({ start, end });
+            }
+        });
 
-                        // Plunge
-                        moves.push(`G1 Z${currentZ.toFixed(3)} F${p.plungeRate}`);
-                        
-                        currentAngle = endA;
+        // Merge overlapping tabs
+        gaps.sort((a, b) => a.start - b.start);
+        const merged = [];
+        gaps.forEach(g => {
+            const last = merged[merged.length - 1];
+            if (last && g.start <= last.end) last.end = Math.max(last.end, g.end);
+            else merged.push({ ...g });
+        });
+        return merged;
+    }
+
+    /**
+     * Walks a contour path emitting G1/G2/G3 moves, starting with the tool at
+     * path.start and Z = startZ. With a slope the tool descends linearly along
+     * the path (ramp) until targetZ, then keeps cutting flat to the end of the
+     * lap; laps repeat until targetZ is reached. Inside tab gaps the tool never
+     * goes below tabTopZ.
+     */
+    emitPath(moves, path, { feedRate, startZ, targetZ = startZ, slope = 0, gaps = [], tabTopZ = -Infinity }) {
+        const p = this.params;
+        const t = this.getTranslation();
+        const len = this.getPathLength(path);
+        if (len <= 0) return;
+
+        const eps = 0.0001;
+        const rampDist = slope > 0 ? (startZ - targetZ) / slope : 0;
+        const laps = Math.max(1, Math.ceil((rampDist - eps) / len));
+        const rampZ = (d) => slope > 0 ? Math.max(targetZ, startZ - d * slope) : targetZ;
+        const inGap = (d) => {
+            const local = d % len;
+            return gaps.some(g => local > g.start + eps && local < g.end - eps);
+        };
+        const zAt = (d, gap) => gap ? Math.max(rampZ(d), tabTopZ) : rampZ(d);
+
+        // Distances where the motion changes: tab edges, end of the ramp,
+        // and where the ramp passes the top of the tabs
+        const breaks = new Set();
+        for (let lap = 0; lap < laps; lap++) {
+            gaps.forEach(g => { breaks.add(lap * len + g.start); breaks.add(lap * len + g.end); });
+        }
+        if (slope > 0) {
+            breaks.add(rampDist);
+            const cross = (startZ - tabTopZ) / slope;
+            if (tabTopZ < startZ && tabTopZ > targetZ && inGap(cross)) breaks.add(cross);
+        }
+
+        let z = startZ;
+        let walked = 0;
+        for (let lap = 0; lap < laps; lap++) {
+            let from = path.start;
+            path.segments.forEach(seg => {
+                const segLen = this.segmentLength(from, seg);
+                const cuts = [...breaks].filter(d => d > walked + eps && d < walked + segLen - eps).sort((a, b) => a - b);
+                cuts.push(walked + segLen);
+
+                let pieceStart = walked;
+                let pos = from;
+                cuts.forEach(d => {
+                    if (d - pieceStart < eps) return;
+                    const gap = inGap((pieceStart + d) / 2);
+
+                    // Lift over / plunge after a tab
+                    const entryZ = zAt(pieceStart, gap);
+                    if (z < entryZ - eps) {
+                        moves.push(p.enableRapid ? `G1 Z${entryZ.toFixed(3)} F${p.rapidZ}` : `G0 Z${entryZ.toFixed(3)}`);
+                        z = entryZ;
+                    } else if (z > entryZ + eps) {
+                        moves.push(`G1 Z${entryZ.toFixed(3)} F${p.plungeRate}`);
+                        z = entryZ;
+                    }
+
+                    const frac = segLen > 0 ? (d - walked) / segLen : 1;
+                    const end = frac >= 1 ? seg.end : this.pointOnSegment(from, seg, frac);
+                    const endZ = zAt(d, gap);
+                    const zWord = Math.abs(endZ - z) > eps ? ` Z${endZ.toFixed(3)}` : '';
+                    if (seg.type === 'arc') {
+                        const I = seg.center.x - pos.x;
+                        const J = seg.center.y - pos.y;
+                        const g = seg.sweep > 0 ? 'G3' : 'G2';
+                        moves.push(`${g} X${(end.x + t.x).toFixed(3)} Y${(end.y + t.y).toFixed(3)}${zWord} I${I.toFixed(3)} J${J.toFixed(3)} F${feedRate}`);
+                    } else {
+                        moves.push(`G1 X${(end.x + t.x).toFixed(3)} Y${(end.y + t.y).toFixed(3)}${zWord} F${feedRate}`);
                     }
+                    z = endZ;
+                    pos = end;
+                    pieceStart = d;
                 });
 
-                // Final Arc to 360 (0)
-                if (currentAngle < 360) {
-                    // Note: 360 is same coords as 0.
-                    // If currentAngle is 350, we go to 360.
-                    // If currentAngle is 0, we do full circle (handled by !isTabPass usually, but here logic differs)
-                    // If we have tabs, we assume we broke the circle.
-                    // If last tab ended at 350, we need to close the loop.
-                    
-                    // Problem: G3 to 0 degrees (360).
-                    // Coordinates of 360 are same as 0.
-                    // G3 logic needs correct I,J.
-                    addArc(currentAngle, 360);
-                }
+                walked += segLen;
+                from = seg.end;
+            });
+        }
+
+        // Finish back at cutting depth if the loop ended on a tab
+        if (z > targetZ + eps) moves.push(`G1 Z${targetZ.toFixed(3)} F${p.plungeRate}`);
+    }
+
+    /**
+     * Overcuts for the inside corners of a shape, which a round tool would
+     * leave as a radius. Each relief holds the corner on the finishing tool
+     * path (`at`) and where the tool goes to clear it (`to`), relative to the
+     * shape centre; `corner` numbers the outline vertices from 1. Dogbones
+     * run along the corner bisector until the tool touches the corner,
+     * T-bones run along the longer (or shorter) wall instead.
+     */
+    getCornerReliefs(shape) {
+        const p = this.params;
+        if (!p.cornerRelief || p.cornerRelief === 'none' || shape === 'circle') return [];
+        const outline = this.getShapeOutline(shape);
+        const r = p.toolDiameter / 2;
+        if (outline.length < 3 || !(r > 0)) return [];
+
+        // "1, 3" limits the relief to those corners; empty means all of them
+        const picked = String(p.reliefCorners || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+        const wanted = picked.length ? new Set(picked) : null;
+
+        const reliefs = [];
+        const n = outline.length;
+        outline.forEach((c, k) => {
+            if (wanted && !wanted.has(k + 1)) return;
+            const prev = outline[(k + n - 1) % n];
+            const next = outline[(k + 1) % n];
+            const la = Math.hypot(c.x - prev.x, c.y - prev.y);
+            const lb = Math.hypot(next.x - c.x, next.y - c.y);
+            if (la < 1e-9 || lb < 1e-9) return;
+            const u1 = { x: (c.x - prev.x) / la, y: (c.y - prev.y) / la };
+            const u2 = { x: (next.x - c.x) / lb, y: (next.y - c.y) / lb };
+
+            // Outlines are CCW: only left turns are corners of the cut area.
+            // Nearly straight ones barely leave anything behind.
+            const turn = Math.atan2(u1.x * u2.y - u1.y * u2.x, u1.x * u2.x + u1.y * u2.y);
+            if (turn < 5 * Math.PI / 180) return;
+            const half = (Math.PI - turn) / 2;
+
+            const bl = Math.hypot(u2.x - u1.x, u2.y - u1.y);
+            const bis = { x: (u2.x - u1.x) / bl, y: (u2.y - u1.y) / bl };
+            const at = { x: c.x + bis.x * r / Math.sin(half), y: c.y + bis.y * r / Math.sin(half) };
+
+            let to;
+            if (p.cornerRelief === 'dogbone') {
+                to = { x: c.x + bis.x * r, y: c.y + bis.y * r };
+            } else {
+                const alongIn = (la >= lb) === (p.cornerRelief !== 'tbone-short');
+                const dir = alongIn ? u1 : { x: -u2.x, y: -u2.y };
+                const reach = r / Math.tan(half);
+                to = { x: at.x + dir.x * reach, y: at.y + dir.y * reach };
             }
+            reliefs.push({ corner: k + 1, at, to });
+        });
+        return reliefs;
+    }
+
+    /**
+     * Adds an in-and-out overcut wherever the path has a relieved corner.
+     * `inserts` records where (distance along the original path) and how
+     * much length each one adds, so tab positions can be moved along.
+     */
+    addCornerRelief(path, reliefs) {
+        if (reliefs.length === 0) return { path, inserts: [] };
+        const segments = [];
+        const inserts = [];
+        let from = path.start;
+        let walked = 0;
+        path.segments.forEach(seg => {
+            walked += this.segmentLength(from, seg);
+            segments.push(seg);
+            from = seg.end;
+            if (seg.type !== 'line') return;
+            const relief = reliefs.find(rl => Math.hypot(rl.at.x - seg.end.x, rl.at.y - seg.end.y) < 0.001);
+            if (!relief) return;
+            segments.push({ type: 'line', end: relief.to }, { type: 'line', end: seg.end });
+            inserts.push({ at: walked, extra: 2 * Math.hypot(relief.to.x - seg.end.x, relief.to.y - seg.end.y) });
+        });
+        return { path: { start: path.start, segments }, inserts };
+    }
+
+    /**
+     * Contour path for a pass. The finishing lap of an inside cut gets the
+     * corner relief; roughing laps stay clear of the walls anyway.
+     */
+    getCutPath(shape, offset) {
+        const p = this.params;
+        const base = this.getDirectedPath(shape, offset);
+        const finishing = p.operation === 'inside' && Math.abs(offset + p.toolDiameter / 2) < 1e-9;
+        const { path, inserts } = this.addCornerRelief(base, finishing ? this.getCornerReliefs(shape) : []);
+
+        // Tabs are placed along the plain path (mirrored when it runs clockwise),
+        // then pushed past the overcuts before them
+        const len = this.getPathLength(base);
+        const reversed = this.isReversedCut();
+        const shift = (d) => d + inserts.reduce((sum, ins) => sum + (ins.at < d - 1e-9 ? ins.extra : 0), 0);
+        const tabGaps = () => this.getTabGaps(shape, offset, len)
+            .map(g => reversed ? { start: len - g.end, end: len - g.start } : g)
+            .sort((a, b) => a.start - b.start)
+            .map(g => ({ start: shift(g.start), end: shift(g.end) }));
+        return { path, tabGaps };
+    }
+
+    getShapePath(shape, offset, feedRate, currentZ, rampData = null) {
+        const p = this.params;
+        const moves = [];
+
+        // Tab Logic
+        const tabTopZ = -(p.targetDepth - p.tabThickness);
+        // We cut tabs if currentZ is LOWER (deeper) than the top of the tab
+        const isTabPass = p.enableTabs && p.tabs && p.tabs.length > 0 && (currentZ < tabTopZ - 0.001);
+
+        if (rampData) {
+            // RAMPING GENERATION
+            // Descend along the contour itself at the ramp angle. Max Stepdown
+            // limits how much Z one lap around the contour may drop.
+            const { path, tabGaps } = this.getCutPath(shape, offset);
+            const len = this.getPathLength(path);
+            if (len <= 0) return moves;
+
+            let slope = Math.tan((rampData.angle * Math.PI) / 180);
+            if (p.rampMaxStep > 0) slope = Math.min(slope, p.rampMaxStep / len);
+
+            this.emitPath(moves, path, {
+                feedRate,
+                startZ: rampData.startZ,
+                targetZ: rampData.targetZ,
+                slope,
+                gaps: tabGaps(),
+                tabTopZ
+            });
+            return moves;
         }
 
+        // Cut one lap at currentZ, hopping over the tabs on deep passes
+        const { path, tabGaps } = this.getCutPath(shape, offset);
+        this.emitPath(moves, path, {
+            feedRate,
+            startZ: currentZ,
+            gaps: isTabPass ? tabGaps() : [],
+            tabTopZ
+        });
+
         return moves;
     }
     
@@ -0,0 +1,695 @@
+/**
+ * 2D Geometry Helpers (Polygon offsetting etc.)
+ *
+ * Polygons are arrays of {x, y} points. The closing edge is implicit
+ * (last point connects back to the first), matching the Sketcher output.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Signed area (shoelace). Positive = Counter-Clockwise.
+ */
+export function polygonArea(pts) {
+    let a = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const p1 = pts[i];
+        const p2 = pts[(i + 1) % pts.length];
+        a += (p1.x * p2.y) - (p2.x * p1.y);
+    }
+    return a / 2;
+}
+
+/**
+ * Returns a copy of the polygon wound Counter-Clockwise.
+ */
+export function ensureCCW(pts) {
+    const copy = pts.map(p => ({ x: p.x, y: p.y }));
+    return polygonArea(copy) < 0 ? copy.reverse() : copy;
+}
+
+/**
+ * Length of the closed polygon outline.
+ */
+export function polygonPerimeter(pts) {
+    let len = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        len += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    return len;
+}
+
+/**
+ * Point at distance `d` along the closed polygon outline (from pts[0]).
+ */
+export function pointAlongPolygon(pts, d) {
+    const total = polygonPerimeter(pts);
+    if (total <= 0) return pts.length ? { x: pts[0].x, y: pts[0].y } : { x: 0, y: 0 };
+    let remaining = ((d % total) + total) % total;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (remaining <= len && len > 0) {
+            const t = remaining / len;
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        }
+        remaining -= len;
+    }
+    return { x: pts[0].x, y: pts[0].y };
+}
+
+/**
+ * Removes duplicate consecutive points (incl. a duplicated closing point)
+ * and collinear vertices that would produce zero-length offset edges.
+ */
+export function cleanPolygon(pts, tol = 1e-6) {
+    let out = [];
+    pts.forEach(p => {
+        const last = out[out.length - 1];
+        if (!last || Math.hypot(p.x - last.x, p.y - last.y) > tol) out.push({ x: p.x, y: p.y });
+    });
+    if (out.length > 1) {
+        const a = out[0], b = out[out.length - 1];
+        if (Math.hypot(a.x - b.x, a.y - b.y) <= tol) out.pop();
+    }
+
+    // Drop collinear points (straight-through only, spikes are kept)
+    let changed = true;
+    while (changed && out.length > 3) {
+        changed = false;
+        for (let i = 0; i < out.length; i++) {
+            const prev = out[(i - 1 + out.length) % out.length];
+            const cur = out[i];
+            const next = out[(i + 1) % out.length];
+            const ax = cur.x - prev.x, ay = cur.y - prev.y;
+            const bx = next.x - cur.x, by = next.y - cur.y;
+            const cross = ax * by - ay * bx;
+            const dot = ax * bx + ay * by;
+            if (Math.abs(cross) <= tol * Math.hypot(ax, ay) * Math.hypot(bx, by) && dot > 0) {
+                out.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Winding number of a closed polygon around point pt.
+ */
+export function windingNumber(pt, pts) {
+    let wn = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[(i + 1) % pts.length];
+        const isLeft = (b.x - a.x) * (pt.y - a.y) - (pt.x - a.x) * (b.y - a.y);
+        if (a.y <= pt.y) {
+            if (b.y > pt.y && isLeft > 0) wn++;
+        } else if (b.y <= pt.y && isLeft < 0) {
+            wn--;
+        }
+    }
+    return wn;
+}
+
+export function pointInPolygon(pt, pts) {
+    return windingNumber(pt, pts) !== 0;
+}
+
+/**
+ * Number of segments to approximate an arc of `sweep` radians at radius r
+ * within the given chord tolerance.
+ */
+export function arcSegments(r, sweep, tolerance = 0.01) {
+    const absR = Math.abs(r);
+    if (absR < EPS) return 1;
+    const ratio = Math.min(1, tolerance / absR);
+    const maxStep = 2 * Math.acos(1 - ratio) || Math.PI / 4;
+    return Math.max(1, Math.ceil(Math.abs(sweep) / Math.min(maxStep, Math.PI / 8)));
+}
+
+/**
+ * Regular polygon with `sides` corners on a circle of radius r, CCW,
+ * with a flat bottom edge.
+ */
+export function regularPolygon(sides, r) {
+    const n = Math.max(3, Math.round(sides));
+    const pts = [];
+    for (let i = 0; i < n; i++) {
+        const a = -Math.PI / 2 + Math.PI / n + (i * 2 * Math.PI) / n;
+        pts.push({ x: r * Math.cos(a), y: r * Math.sin(a) });
+    }
+    return pts;
+}
+
+/**
+ * Star with `points` tips on radius `outer` and the notches between them
+ * on radius `inner`, CCW, first tip straight up.
+ */
+export function starPolygon(points, outer, inner) {
+    const n = Math.max(3, Math.round(points));
+    const pts = [];
+    for (let i = 0; i < n * 2; i++) {
+        const a = Math.PI / 2 + (i * Math.PI) / n;
+        const r = i % 2 === 0 ? outer : inner;
+        pts.push({ x: r * Math.cos(a), y: r * Math.sin(a) });
+    }
+    return pts;
+}
+
+/**
+ * Ellipse with semi-axes a (along X) and b (along Y), CCW from the +X axis.
+ */
+export function ellipsePolygon(a, b, tolerance = 0.005) {
+    const segs = arcSegments(Math.max(a, b), Math.PI * 2, tolerance);
+    const pts = [];
+    for (let i = 0; i < segs; i++) {
+        const t = (i / segs) * Math.PI * 2;
+        pts.push({ x: a * Math.cos(t), y: b * Math.sin(t) });
+    }
+    return pts;
+}
+
+/**
+ * Offsets a closed polygon by `delta`.
+ *
+ * delta > 0 grows the shape (outside), delta < 0 shrinks it (inside).
+ * The input is normalised to CCW first, so the result doesn't depend on
+ * the direction the user drew the sketch in.
+ *
+ * Options:
+ *   join: 'miter' (sharp corners, like the square/rectangle paths) or 'round'
+ *         (true tool-centre path around convex corners)
+ *   miterLimit: Max miter length as a multiple of |delta| before the corner
+ *               is squared off (avoids huge spikes on very sharp corners)
+ *   tolerance: Chord tolerance for round joins (mm)
+ *
+ * Returns an array of polygons: outer boundaries wound CCW and any holes CW.
+ * An inside offset of a narrow-waisted shape can split into several pieces,
+ * and an offset larger than the shape returns an empty array.
+ */
+export function offsetPolygon(pts, delta, options = {}) {
+    const join = options.join || 'miter';
+    const miterLimit = options.miterLimit || 4;
+    const tolerance = options.tolerance || 0.01;
+
+    const poly = ensureCCW(cleanPolygon(pts));
+    if (poly.length < 3) return [];
+    if (Math.abs(delta) < EPS) return [poly];
+
+    // 1. Raw offset: shift each edge along its outward normal and join neighbours.
+    const n = poly.length;
+    const normals = [];
+    const lengths = [];
+    for (let i = 0; i < n; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % n];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        lengths.push(len);
+        // Outward normal of a CCW edge is the right hand side
+        normals.push({ x: (b.y - a.y) / len, y: -(b.x - a.x) / len });
+    }
+
+    const raw = [];
+    for (let i = 0; i < n; i++) {
+        const v = poly[i];
+        const nPrev = normals[(i - 1 + n) % n];
+        const nNext = normals[i];
+        const p1 = { x: v.x + nPrev.x * delta, y: v.y + nPrev.y * delta };
+        const p2 = { x: v.x + nNext.x * delta, y: v.y + nNext.y * delta };
+
+        // Turn direction (CCW polygon): cross > 0 is a convex corner
+        const cross = nPrev.x * nNext.y - nPrev.y * nNext.x;
+        const dot = nPrev.x * nNext.x + nPrev.y * nNext.y;
+
+        if (Math.abs(cross) < 1e-12 && dot > 0) {
+            // Straight through
+            raw.push(p1);
+            continue;
+        }
+
+        // Corners that open up on the offset side need a join.
+        // Outside offset: convex corners. Inside offset: concave corners.
+        const opens = (cross * delta) > 0 || dot < -1 + 1e-12;
+
+        if (!opens) {
+            // Edges overlap on this side. If both neighbouring edges are long
+            // enough, trim them back to where they meet. Otherwise route through
+            // the original vertex; the reversed loop that creates is removed
+            // in the cleanup.
+            const trim = Math.abs(delta) * Math.abs(cross) / (1 + dot);
+            if (trim <= Math.min(lengths[(i - 1 + n) % n], lengths[i]) / 2) {
+                const k = delta / (1 + dot);
+                raw.push({ x: v.x + (nPrev.x + nNext.x) * k, y: v.y + (nPrev.y + nNext.y) * k });
+            } else {
+                raw.push(p1, { x: v.x, y: v.y }, p2);
+            }
+            continue;
+        }
+
+        if (join === 'round') {
+            const a1 = Math.atan2(nPrev.y, nPrev.x);
+            let sweep = Math.atan2(nNext.y, nNext.x) - a1;
+            // Sweep must follow the offset side
+            if (delta > 0) { while (sweep <= 0) sweep += Math.PI * 2; }
+            else { while (sweep >= 0) sweep -= Math.PI * 2; }
+            if (Math.abs(sweep) > Math.PI * 2 - 1e-9) sweep = 0;
+            const segs = arcSegments(delta, sweep, tolerance);
+            for (let s = 0; s <= segs; s++) {
+                const ang = a1 + sweep * (s / segs);
+                raw.push({ x: v.x + Math.cos(ang) * delta, y: v.y + Math.sin(ang) * delta });
+            }
+        } else {
+            // Miter: intersection of the two offset edges
+            // Miter length from vertex = |delta| / cos(half angle)
+            const bisX = nPrev.x + nNext.x;
+            const bisY = nPrev.y + nNext.y;
+            const bisLen = Math.hypot(bisX, bisY);
+            const cosHalf = bisLen / 2;
+            if (bisLen < EPS || (1 / cosHalf) > miterLimit) {
+                // Too sharp: square off at miterLimit distance
+                const ux = bisLen < EPS ? -nPrev.y : bisX / bisLen;
+                const uy = bisLen < EPS ? nPrev.x : bisY / bisLen;
+                const sx = ux * Math.sign(delta), sy = uy * Math.sign(delta);
+                const reach = Math.abs(delta) * miterLimit;
+                const tip = { x: v.x + sx * reach, y: v.y + sy * reach };
+                // Cut the spike perpendicular to the bisector
+                const q1 = lineIntersection(p1, dirOf(normals, i - 1, n), tip, { x: -sy, y: sx });
+                const q2 = lineIntersection(p2, dirOf(normals, i, n), tip, { x: -sy, y: sx });
+                raw.push(q1 || p1, q2 || p2);
+            } else {
+                const k = delta / (1 + dot);
+                raw.push({ x: v.x + bisX * k, y: v.y + bisY * k });
+            }
+        }
+    }
+
+    // 2. Cleanup: keep only the boundary of the region the raw curve winds
+    // around positively. This drops the reversed loops from overlapping
+    // corners and any part of the shape the offset has collapsed.
+    return resolvePolygons([raw], tolerance);
+}
+
+/**
+ * Offsets a region with holes (as returned by resolvePolygons: outer
+ * boundaries CCW, holes CW) by `delta`. Holes move the opposite way to the
+ * outside, so growing the region shrinks its holes and vice versa.
+ */
+export function offsetRegion(rings, delta, options = {}) {
+    if (Math.abs(delta) < EPS) return rings;
+    const pieces = [];
+    rings.forEach(ring => {
+        if (polygonArea(ring) > 0) {
+            pieces.push(...offsetPolygon(ring, delta, options));
+        } else {
+            // Offset the hole as a shape of its own, then flip it back
+            offsetPolygon(ring, -delta, options).forEach(piece => pieces.push([...piece].reverse()));
+        }
+    });
+    return pieces.length ? resolvePolygons(pieces, options.tolerance || 0.01) : [];
+}
+
+/**
+ * Splits a region into its separate islands: [[outer, ...holes], ...].
+ * Each hole goes to the smallest outer boundary around it.
+ */
+export function splitRegion(rings) {
+    const outers = rings.filter(r => polygonArea(r) > 0).sort((a, b) => polygonArea(a) - polygonArea(b));
+    const pieces = outers.map(outer => [outer]);
+    rings.filter(r => polygonArea(r) <= 0).forEach(hole => {
+        const i = outers.findIndex(outer => pointInPolygon(hole[0], outer));
+        if (i >= 0) pieces[i].push(hole);
+    });
+    return pieces;
+}
+
+// Edge direction (unit) of edge i, recovered from its outward normal
+function dirOf(normals, i, n) {
+    const nm = normals[(i + n) % n];
+    return { x: -nm.y, y: nm.x };
+}
+
+function lineIntersection(p, d, q, e) {
+    const den = d.x * e.y - d.y * e.x;
+    if (Math.abs(den) < EPS) return null;
+    const t = ((q.x - p.x) * e.y - (q.y - p.y) * e.x) / den;
+    return { x: p.x + d.x * t, y: p.y + d.y * t };
+}
+
+/**
+ * Boundary of the region covered by a set of closed rings (nonzero winding
+ * > 0). Rings may self-intersect, touch or overlap each other.
+ *
+ * Every edge is split at all crossings/touches, each piece is kept only if
+ * it separates covered from uncovered area, and the kept pieces are chained
+ * back into loops: outer boundaries CCW, holes CW, biggest first.
+ */
+export function resolvePolygons(rings, tolerance = 0.01) {
+    const edges = [];
+    rings.forEach(ring => {
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i], b = ring[(i + 1) % ring.length];
+            if (Math.hypot(b.x - a.x, b.y - a.y) > 1e-9) edges.push({ a, b, cuts: [0, 1] });
+        }
+    });
+    const windingAt = windingIndex(edges);
+
+    // Split params for every crossing, touch and collinear overlap
+    // (sweep along X so only edges with overlapping X ranges get compared)
+    const sorted = edges.map(e => ({
+        e,
+        minX: Math.min(e.a.x, e.b.x) - 1e-9, maxX: Math.max(e.a.x, e.b.x) + 1e-9,
+        minY: Math.min(e.a.y, e.b.y) - 1e-9, maxY: Math.max(e.a.y, e.b.y) + 1e-9
+    })).sort((a, b) => a.minX - b.minX);
+    for (let i = 0; i < sorted.length; i++) {
+        const s1 = sorted[i];
+        for (let j = i + 1; j < sorted.length; j++) {
+            const s2 = sorted[j];
+            if (s2.minX > s1.maxX) break;
+            if (s2.maxY < s1.minY || s2.minY > s1.maxY) continue;
+            splitPair(s1.e, s2.e);
+        }
+    }
+
+    // Keep pieces on the covered/uncovered border, oriented covered-on-left
+    const key = (p) => `${Math.round(p.x * 1e6)},${Math.round(p.y * 1e6)}`;
+    const kept = new Map(); // dedupe overlapping pieces
+    edges.forEach(e => {
+        const ts = [...new Set(e.cuts)].sort((a, b) => a - b);
+        for (let k = 0; k < ts.length - 1; k++) {
+            const p = lerp(e.a, e.b, ts[k]);
+            const q = lerp(e.a, e.b, ts[k + 1]);
+            const len = Math.hypot(q.x - p.x, q.y - p.y);
+            if (len < 1e-7) continue;
+            const mx = (p.x + q.x) / 2, my = (p.y + q.y) / 2;
+            const nx = -(q.y - p.y) / len, ny = (q.x - p.x) / len;
+            const eps = Math.min(1e-5, len * 1e-3);
+            const left = windingAt({ x: mx + nx * eps, y: my + ny * eps }) > 0;
+            const right = windingAt({ x: mx - nx * eps, y: my - ny * eps }) > 0;
+            if (left === right) continue;
+            const [s, t] = left ? [p, q] : [q, p];
+            const id = `${key(s)}>${key(t)}`;
+            if (!kept.has(id)) kept.set(id, { s, t, ks: key(s), kt: key(t), used: false });
+        }
+    });
+
+    // Chain into loops
+    const byStart = new Map();
+    kept.forEach(e => {
+        if (!byStart.has(e.ks)) byStart.set(e.ks, []);
+        byStart.get(e.ks).push(e);
+    });
+
+    const loops = [];
+    kept.forEach(first => {
+        if (first.used) return;
+        const loop = [];
+        let e = first;
+        while (e && !e.used) {
+            e.used = true;
+            loop.push(e.s);
+            const options = (byStart.get(e.kt) || []).filter(c => !c.used);
+            if (options.length <= 1) { e = options[0]; continue; }
+            // Pinch point: take the sharpest right turn so touching loops separate
+            const inAng = Math.atan2(e.t.y - e.s.y, e.t.x - e.s.x);
+            let best = null, bestTurn = Infinity;
+            options.forEach(c => {
+                let turn = Math.atan2(c.t.y - c.s.y, c.t.x - c.s.x) - inAng;
+                while (turn <= -Math.PI) turn += Math.PI * 2;
+                while (turn > Math.PI) turn -= Math.PI * 2;
+                if (turn < bestTurn) { bestTurn = turn; best = c; }
+            });
+            e = best;
+        }
+        const clean = cleanPolygon(loop);
+        if (clean.length >= 3 && Math.abs(polygonArea(clean)) > tolerance * tolerance) loops.push(clean);
+    });
+
+    loops.sort((a, b) => polygonArea(b) - polygonArea(a));
+    return loops;
+}
+
+// Winding number lookup over many edges, bucketed by Y so each query only
+// walks the edges its horizontal ray can actually cross.
+function windingIndex(edges) {
+    let minY = Infinity, maxY = -Infinity;
+    edges.forEach(e => {
+        minY = Math.min(minY, e.a.y, e.b.y);
+        maxY = Math.max(maxY, e.a.y, e.b.y);
+    });
+    const count = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+    const size = (maxY - minY) / count || 1;
+    const buckets = Array.from({ length: count }, () => []);
+    const bucketOf = (y) => Math.min(count - 1, Math.max(0, Math.floor((y - minY) / size)));
+    edges.forEach(e => {
+        const b0 = bucketOf(Math.min(e.a.y, e.b.y));
+        const b1 = bucketOf(Math.max(e.a.y, e.b.y));
+        for (let b = b0; b <= b1; b++) buckets[b].push(e);
+    });
+
+    return (pt) => {
+        if (pt.y < minY || pt.y > maxY) return 0;
+        let wn = 0;
+        buckets[bucketOf(pt.y)].forEach(({ a, b }) => {
+            const isLeft = (b.x - a.x) * (pt.y - a.y) - (pt.x - a.x) * (b.y - a.y);
+            if (a.y <= pt.y) {
+                if (b.y > pt.y && isLeft > 0) wn++;
+            } else if (b.y <= pt.y && isLeft < 0) {
+                wn--;
+            }
+        });
+        return wn;
+    };
+}
+
+function lerp(a, b, t) {
+    if (t === 0) return a;
+    if (t === 1) return b;
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// Adds split params to both edges where they cross, touch or overlap
+function splitPair(e1, e2) {
+    const rX = e1.b.x - e1.a.x, rY = e1.b.y - e1.a.y;
+    const sX = e2.b.x - e2.a.x, sY = e2.b.y - e2.a.y;
+    const len1 = Math.hypot(rX, rY), len2 = Math.hypot(sX, sY);
+    const den = rX * sY - rY * sX;
+    const tol = 1e-9;
+
+    // Param of point p projected on edge e, if it lies on the edge
+    const onEdge = (p, e, dx, dy, len) => {
+        const t = ((p.x - e.a.x) * dx + (p.y - e.a.y) * dy) / (len * len);
+        if (t < -tol || t > 1 + tol) return null;
+        const px = e.a.x + dx * t, py = e.a.y + dy * t;
+        return Math.hypot(p.x - px, p.y - py) < 1e-7 ? Math.min(1, Math.max(0, t)) : null;
+    };
+
+    if (Math.abs(den) < 1e-12 * len1 * len2) {
+        // Parallel: only collinear overlaps matter
+        [e2.a, e2.b].forEach(p => { const t = onEdge(p, e1, rX, rY, len1); if (t !== null) e1.cuts.push(t); });
+        [e1.a, e1.b].forEach(p => { const t = onEdge(p, e2, sX, sY, len2); if (t !== null) e2.cuts.push(t); });
+        return;
+    }
+
+    const qx = e2.a.x - e1.a.x, qy = e2.a.y - e1.a.y;
+    let t = (qx * sY - qy * sX) / den;
+    let u = (qx * rY - qy * rX) / den;
+    if (t < -tol || t > 1 + tol || u < -tol || u > 1 + tol) return;
+    e1.cuts.push(Math.min(1, Math.max(0, t)));
+    e2.cuts.push(Math.min(1, Math.max(0, u)));
+}
+
+/**
+ * True if segments ab and cd properly cross (touching ends don't count).
+ */
+export function segmentsCross(a, b, c, d) {
+    const d1 = (d.x - c.x) * (a.y - c.y) - (d.y - c.y) * (a.x - c.x);
+    const d2 = (d.x - c.x) * (b.y - c.y) - (d.y - c.y) * (b.x - c.x);
+    const d3 = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d4 = (b.x - a.x) * (d.y - a.y) - (b.y - a.y) * (d.x - a.x);
+    return ((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+           ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS));
+}
+
+/**
+ * Rotates a closed polygon so it starts at the vertex nearest to `target`.
+ */
+export function startNearest(pts, target) {
+    if (!pts.length || !target) return pts;
+    let best = 0, bestD = Infinity;
+    pts.forEach((p, i) => {
+        const d = (p.x - target.x) ** 2 + (p.y - target.y) ** 2;
+        if (d < bestD) { bestD = d; best = i; }
+    });
+    return pts.slice(best).concat(pts.slice(0, best));
+}
+
+/**
+ * Approximate medial axis of a region (outer boundaries CCW, holes CW):
+ * the centre line of every part of the shape, with the distance to the
+ * nearest wall. This is what a V-bit follows, its depth growing with `r`.
+ *
+ * The boundary is sampled every `spacing` mm; the Voronoi diagram of the
+ * samples (dual of their Delaunay triangulation) is clipped to the region
+ * and the short spurs that flattened curves produce are dropped.
+ *
+ * Returns polylines of {x, y, r}.
+ */
+export function medialAxis(rings, spacing = 0.2, options = {}) {
+    const minAngle = (options.minAngle || 30) * Math.PI / 180;
+
+    // 1. Boundary samples, remembering where each came from
+    const samples = [];
+    rings.forEach((ring, ri) => {
+        const start = samples.length;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i], b = ring[(i + 1) % ring.length];
+            const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / spacing));
+            for (let k = 0; k < n; k++) samples.push({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n, ring: ri });
+        }
+        samples.slice(start).forEach((s, k, all) => { s.index = k; s.count = all.length; });
+    });
+    if (samples.length < 3) return [];
+
+    // 2. Voronoi vertices = circumcentres of the Delaunay triangles inside the region
+    const triangles = delaunay(samples);
+    const edges = [];
+    rings.forEach(ring => ring.forEach((a, i) => edges.push({ a, b: ring[(i + 1) % ring.length] })));
+    const windingAt = windingIndex(edges);
+    triangles.forEach(t => { t.inside = windingAt(t.c) > 0; });
+
+    // 3. Voronoi edges between neighbouring triangles
+    const byEdge = new Map();
+    triangles.forEach((t, ti) => {
+        [[t.a, t.b], [t.b, t.c2], [t.c2, t.a]].forEach(([i, j]) => {
+            const key = i < j ? `${i},${j}` : `${j},${i}`;
+            if (!byEdge.has(key)) byEdge.set(key, []);
+            byEdge.get(key).push(ti);
+        });
+    });
+
+    const adjacent = (s1, s2) => s1.ring === s2.ring &&
+        Math.min((s1.index - s2.index + s1.count) % s1.count, (s2.index - s1.index + s1.count) % s1.count) <= 1;
+
+    const graph = new Map(); // triangle -> [{ to, site }]
+    const link = (from, to, site) => {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ to, site });
+    };
+    byEdge.forEach((tris, key) => {
+        if (tris.length !== 2) return;
+        const [t1, t2] = tris.map(i => triangles[i]);
+        if (!t1.inside || !t2.inside) return;
+        const [i, j] = key.split(',').map(Number);
+        const s1 = samples[i], s2 = samples[j];
+        if (adjacent(s1, s2)) return;
+        // Spur filter: the two walls must face each other, not be neighbours on one curve
+        const r = Math.max(t1.r, t2.r);
+        const chord = Math.hypot(s1.x - s2.x, s1.y - s2.y);
+        const angle = 2 * Math.asin(Math.min(1, chord / (2 * r)));
+        if (angle < minAngle) return;
+        link(tris[0], tris[1], s1);
+        link(tris[1], tris[0], s1);
+    });
+
+    // 4. Chain into polylines between junctions/ends, filling in long edges
+    const point = (ti) => ({ x: triangles[ti].c.x, y: triangles[ti].c.y, r: triangles[ti].r });
+    const used = new Set();
+    const polylines = [];
+    const walk = (startTri, first) => {
+        const line = [point(startTri)];
+        let prev = startTri;
+        let step = first;
+        while (step) {
+            const key = prev < step.to ? `${prev}>${step.to}` : `${step.to}>${prev}`;
+            if (used.has(key)) break;
+            used.add(key);
+            const a = triangles[prev].c, b = triangles[step.to].c;
+            const n = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (spacing * 2));
+            for (let k = 1; k < n; k++) {
+                // Points on a Voronoi edge are equally far from both sites
+                const x = a.x + (b.x - a.x) * k / n, y = a.y + (b.y - a.y) * k / n;
+                line.push({ x, y, r: Math.hypot(x - step.site.x, y - step.site.y) });
+            }
+            line.push(point(step.to));
+            prev = step.to;
+            const next = graph.get(prev);
+            if (next.length !== 2) break;
+            step = next.find(s => !used.has(prev < s.to ? `${prev}>${s.to}` : `${s.to}>${prev}`));
+        }
+        if (line.length > 1) polylines.push(line);
+    };
+    // Start at ends and junctions first, then whatever is left is a loop
+    graph.forEach((steps, ti) => { if (steps.length !== 2) steps.forEach(s => walk(ti, s)); });
+    graph.forEach((steps, ti) => steps.forEach(s => walk(ti, s)));
+    return polylines;
+}
+
+// Bowyer-Watson triangulation, sweeping along X so triangles whose
+// circumcircle lies left of the sweep are finished early.
+// Triangles are { a, b, c2 } sample indices with circumcentre c and radius r.
+function delaunay(points) {
+    const order = points.map((p, i) => i).sort((i, j) => points[i].x - points[j].x);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+    });
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    const midX = (minX + maxX) / 2, midY = (minY + maxY) / 2;
+    const n = points.length;
+    const pts = points.concat([
+        { x: midX - 20 * size, y: midY - size },
+        { x: midX, y: midY + 20 * size },
+        { x: midX + 20 * size, y: midY - size }
+    ]);
+
+    const make = (a, b, c2) => {
+        const A = pts[a], B = pts[b], C = pts[c2];
+        const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+        if (Math.abs(d) < 1e-12) return null;
+        const a2 = A.x * A.x + A.y * A.y, b2 = B.x * B.x + B.y * B.y, c2s = C.x * C.x + C.y * C.y;
+        const c = {
+            x: (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2s * (A.y - B.y)) / d,
+            y: (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2s * (B.x - A.x)) / d
+        };
+        const r = Math.hypot(A.x - c.x, A.y - c.y);
+        return { a, b, c2, c, r };
+    };
+
+    let open = [make(n, n + 1, n + 2)];
+    const done = [];
+    order.forEach(pi => {
+        const p = pts[pi];
+        const hole = new Map();
+        const keep = [];
+        open.forEach(t => {
+            if (t.c.x + t.r < p.x) {
+                done.push(t);
+                return;
+            }
+            if (Math.hypot(p.x - t.c.x, p.y - t.c.y) < t.r) {
+                // Edges seen twice are inside the cavity; the rest bound it
+                [[t.a, t.b], [t.b, t.c2], [t.c2, t.a]].forEach(([i, j]) => {
+                    const key = i < j ? `${i},${j}` : `${j},${i}`;
+                    if (hole.has(key)) hole.set(key, null);
+                    else hole.set(key, [i, j]);
+                });
+                return;
+            }
+            keep.push(t);
+        });
+        hole.forEach(e => {
+            if (!e) return;
+            const t = make(e[0], e[1], pi);
+            if (t) keep.push(t);
+        });
+        open = keep;
+    });
+
+    return done.concat(open).filter(t => t.a < n && t.b < n && t.c2 < n);
+}
@@ -0,0 +1,653 @@
+/**
+ * TrueType / OpenType outline fonts
+ *
+ * Reads .ttf (glyf outlines, quadratic) and .otf (CFF outlines, cubic)
+ * files into fonts the generator can cut as closed contours. Glyph
+ * outlines are kept as curves on a 10 unit cap height (baseline y=0, y up)
+ * and only flattened once the text size is known, see flattenOutline().
+ *
+ * Contours are returned with filled areas wound CCW and holes CW, i.e. the
+ * non-zero fill of the glyph is the area resolvePolygons() keeps.
+ */
+
+const CAP_HEIGHT = 10;
+
+/**
+ * @param {ArrayBuffer} buffer - Contents of a .ttf/.otf file
+ * @param {string} name - Display name
+ */
+export function parseOutlineFont(buffer, name) {
+    const view = new DataView(buffer);
+    const tag = (offset) => String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+    const version = tag(0);
+    if (version === 'ttcf') throw new Error('Font collections (.ttc) are not supported');
+    if (version === 'wOFF' || version === 'wOF2') throw new Error('Web fonts (.woff) are not supported, use the .ttf or .otf file');
+    if (view.getUint32(0) !== 0x00010000 && version !== 'OTTO' && version !== 'true') {
+        throw new Error('Not a TrueType or OpenType font');
+    }
+
+    const tables = {};
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+        const rec = 12 + i * 16;
+        tables[tag(rec)] = { offset: view.getUint32(rec + 8), length: view.getUint32(rec + 12) };
+    }
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap'].forEach(t => {
+        if (!tables[t]) throw new Error(`Font has no ${t} table`);
+    });
+
+    const head = tables.head.offset;
+    const unitsPerEm = view.getUint16(head + 18);
+    const longLoca = view.getInt16(head + 50) === 1;
+    const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+    const numHMetrics = view.getUint16(tables.hhea.offset + 34);
+
+    const advanceOf = (gid) => {
+        const i = Math.min(gid, numHMetrics - 1);
+        return view.getUint16(tables.hmtx.offset + i * 4);
+    };
+
+    const cmap = readCmap(view, tables.cmap.offset);
+
+    let outlineOf;
+    if (tables.glyf && tables.loca) {
+        const loca = (gid) => longLoca
+            ? view.getUint32(tables.loca.offset + gid * 4)
+            : view.getUint16(tables.loca.offset + gid * 2) * 2;
+        // TrueType winds filled areas clockwise: flip to our CCW convention
+        outlineOf = (gid) => readGlyf(view, tables.glyf.offset, loca, numGlyphs, gid, 0).map(reverseContour);
+    } else if (tables['CFF ']) {
+        const cff = readCFF(view, tables['CFF '].offset);
+        outlineOf = (gid) => cff.outline(gid);
+    } else {
+        throw new Error('Font has no glyph outlines (glyf or CFF table)');
+    }
+
+    // Size so that the capitals are CAP_HEIGHT tall, like the stroke fonts
+    let capHeight = 0;
+    const os2 = tables['OS/2'];
+    if (os2 && view.getUint16(os2.offset) >= 2 && os2.length >= 90) capHeight = view.getInt16(os2.offset + 88);
+    if (!capHeight && cmap.has(72)) {
+        const ys = outlineOf(cmap.get(72)).flat().flatMap(cmd => cmd.pts.map(pt => pt.y));
+        if (ys.length) capHeight = Math.max(...ys);
+    }
+    if (!capHeight) capHeight = unitsPerEm * 0.7;
+    const scale = CAP_HEIGHT / capHeight;
+
+    const cache = new Map();
+    return {
+        name,
+        outline: true,
+        getGlyph(char) {
+            if (cache.has(char)) return cache.get(char);
+            const gid = cmap.get(char.codePointAt(0));
+            let glyph = null;
+            if (gid !== undefined && gid < numGlyphs) {
+                glyph = {
+                    advance: advanceOf(gid) * scale,
+                    contours: outlineOf(gid).map(contour => contour.map(cmd => ({
+                        type: cmd.type,
+                        pts: cmd.pts.map(pt => ({ x: pt.x * scale, y: pt.y * scale }))
+                    })))
+                };
+            }
+            cache.set(char, glyph);
+            return glyph;
+        }
+    };
+}
+
+/**
+ * Turns glyph contours into closed polygons at a given scale (glyph units
+ * to mm) within `tolerance` (mm) of the curves.
+ */
+export function flattenOutline(contours, scale, tolerance = 0.01) {
+    return contours.map(contour => {
+        const pts = [];
+        let cur = null;
+        contour.forEach(cmd => {
+            if (cmd.type === 'M' || cmd.type === 'L') {
+                cur = cmd.pts[0];
+                pts.push(cur);
+                return;
+            }
+            const [c1, c2, end] = cmd.type === 'Q' ? [cmd.pts[0], null, cmd.pts[1]] : cmd.pts;
+            // Chord count from the curve's second differences
+            const dd = cmd.type === 'Q'
+                ? Math.hypot(cur.x - 2 * c1.x + end.x, cur.y - 2 * c1.y + end.y) / 4
+                : Math.max(Math.hypot(cur.x - 2 * c1.x + c2.x, cur.y - 2 * c1.y + c2.y), Math.hypot(c1.x - 2 * c2.x + end.x, c1.y - 2 * c2.y + end.y)) * 3 / 4;
+            const n = Math.min(100, Math.max(1, Math.ceil(Math.sqrt(dd * scale / tolerance))));
+            const p0 = cur;
+            for (let k = 1; k <= n; k++) {
+                const t = k / n;
+                const u = 1 - t;
+                pts.push(cmd.type === 'Q'
+                    ? { x: u * u * p0.x + 2 * u * t * c1.x + t * t * end.x, y: u * u * p0.y + 2 * u * t * c1.y + t * t * end.y }
+                    : {
+                        x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * end.x,
+                        y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * end.y
+                    });
+            }
+            cur = end;
+        });
+        // The closing point repeats the first one
+        const first = pts[0];
+        const last = pts[pts.length - 1];
+        if (pts.length > 1 && Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) pts.pop();
+        return pts.map(pt => ({ x: pt.x * scale, y: pt.y * scale }));
+    }).filter(pts => pts.length > 2);
+}
+
+// Contours are lists of commands: { type: 'M' | 'L' | 'Q' | 'C', pts }
+function reverseContour(contour) {
+    if (contour.length < 2) return contour;
+    // Walk the segments backwards; each one ends where the previous started
+    const out = [];
+    let end = contour[contour.length - 1].pts.at(-1);
+    out.push({ type: 'M', pts: [end] });
+    for (let i = contour.length - 1; i >= 1; i--) {
+        const cmd = contour[i];
+        const start = contour[i - 1].pts.at(-1);
+        if (cmd.type === 'Q') out.push({ type: 'Q', pts: [cmd.pts[0], start] });
+        else if (cmd.type === 'C') out.push({ type: 'C', pts: [cmd.pts[1], cmd.pts[0], start] });
+        else out.push({ type: 'L', pts: [start] });
+    }
+    return out;
+}
+
+/**
+ * Character code -> glyph id from the best Unicode subtable (format 12 or 4).
+ */
+function readCmap(view, offset) {
+    const count = view.getUint16(offset + 2);
+    let best = null;
+    let bestRank = -1;
+    for (let i = 0; i < count; i++) {
+        const rec = offset + 4 + i * 8;
+        const platform = view.getUint16(rec);
+        const encoding = view.getUint16(rec + 2);
+        const sub = offset + view.getUint32(rec + 4);
+        const format = view.getUint16(sub);
+        let rank = -1;
+        if (format === 12 && (platform === 0 || (platform === 3 && encoding === 10))) rank = 3;
+        else if (format === 4 && (platform === 0 || (platform === 3 && encoding === 1))) rank = 2;
+        else if (format === 4 && platform === 3 && encoding === 0) rank = 1; // Symbol fonts
+        if (rank > bestRank) {
+            best = { sub, format, symbol: platform === 3 && encoding === 0 };
+            bestRank = rank;
+        }
+    }
+
+    const map = new Map();
+    if (!best) return map;
+    const { sub, format } = best;
+
+    if (format === 12) {
+        const groups = view.getUint32(sub + 12);
+        for (let g = 0; g < groups; g++) {
+            const grp = sub + 16 + g * 12;
+            const start = view.getUint32(grp);
+            const end = view.getUint32(grp + 4);
+            const glyph = view.getUint32(grp + 8);
+            // Skip absurd ranges rather than filling a huge map
+            for (let c = start; c <= end && c - start < 0x10000; c++) map.set(c, glyph + c - start);
+        }
+        return map;
+    }
+
+    const segX2 = view.getUint16(sub + 6);
+    const endCodes = sub + 14;
+    const startCodes = endCodes + segX2 + 2;
+    const deltas = startCodes + segX2;
+    const rangeOffsets = deltas + segX2;
+    for (let s = 0; s < segX2; s += 2) {
+        const end = view.getUint16(endCodes + s);
+        const start = view.getUint16(startCodes + s);
+        const delta = view.getInt16(deltas + s);
+        const rangeOffset = view.getUint16(rangeOffsets + s);
+        for (let c = start; c <= end && c !== 0xFFFF; c++) {
+            let glyph;
+            if (rangeOffset === 0) {
+                glyph = (c + delta) & 0xFFFF;
+            } else {
+                glyph = view.getUint16(rangeOffsets + s + rangeOffset + (c - start) * 2);
+                if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+            }
+            if (glyph === 0) continue;
+            map.set(c, glyph);
+            // Symbol fonts put their glyphs at U+F020..F0FF
+            if (best.symbol && c >= 0xF020 && c <= 0xF0FF && !map.has(c - 0xF000)) map.set(c - 0xF000, glyph);
+        }
+    }
+    return map;
+}
+
+/**
+ * TrueType outline of glyph `gid` (composites resolved).
+ */
+function readGlyf(view, glyfOffset, loca, numGlyphs, gid, depth) {
+    if (gid >= numGlyphs || depth > 8) return [];
+    const start = loca(gid);
+    if (loca(gid + 1) === start) return []; // Empty glyph (space)
+    const g = glyfOffset + start;
+    const numContours = view.getInt16(g);
+
+    if (numContours < 0) {
+        // Composite: other glyphs placed with an offset and optional scale
+        const contours = [];
+        let pos = g + 10;
+        let flags;
+        do {
+            flags = view.getUint16(pos);
+            const component = view.getUint16(pos + 2);
+            pos += 4;
+            let dx, dy;
+            if (flags & 0x0001) {
+                dx = view.getInt16(pos); dy = view.getInt16(pos + 2); pos += 4;
+            } else {
+                dx = view.getInt8(pos); dy = view.getInt8(pos + 1); pos += 2;
+            }
+            // Point-matched placement (flag 0x0002 clear) is rare; treat it as no offset
+            if (!(flags & 0x0002)) { dx = 0; dy = 0; }
+            let a = 1, b = 0, c = 0, d = 1;
+            const f2dot14 = (o) => view.getInt16(o) / 16384;
+            if (flags & 0x0008) {
+                a = d = f2dot14(pos); pos += 2;
+            } else if (flags & 0x0040) {
+                a = f2dot14(pos); d = f2dot14(pos + 2); pos += 4;
+            } else if (flags & 0x0080) {
+                a = f2dot14(pos); b = f2dot14(pos + 2); c = f2dot14(pos + 4); d = f2dot14(pos + 6); pos += 8;
+            }
+            readGlyf(view, glyfOffset, loca, numGlyphs, component, depth + 1).forEach(contour => {
+                const placed = contour.map(cmd => ({
+                    type: cmd.type,
+                    pts: cmd.pts.map(pt => ({ x: a * pt.x + c * pt.y + dx, y: b * pt.x + d * pt.y + dy }))
+                }));
+                // A mirroring transform flips the winding
+                contours.push(a * d - b * c < 0 ? reverseContour(placed) : placed);
+            });
+        } while (flags & 0x0020);
+        return contours;
+    }
+
+    const endPts = [];
+    for (let i = 0; i < numContours; i++) endPts.push(view.getUint16(g + 10 + i * 2));
+    const numPoints = numContours ? endPts[numContours - 1] + 1 : 0;
+    let pos = g + 10 + numContours * 2;
+    pos += 2 + view.getUint16(pos); // Skip instructions
+
+    const flags = [];
+    while (flags.length < numPoints) {
+        const f = view.getUint8(pos++);
+        flags.push(f);
+        if (f & 0x08) {
+            let repeat = view.getUint8(pos++);
+            while (repeat-- > 0) flags.push(f);
+        }
+    }
+    const readCoords = (shortBit, sameBit) => {
+        const values = [];
+        let v = 0;
+        flags.forEach(f => {
+            if (f & shortBit) {
+                const delta = view.getUint8(pos++);
+                v += (f & sameBit) ? delta : -delta;
+            } else if (!(f & sameBit)) {
+                v += view.getInt16(pos);
+                pos += 2;
+            }
+            values.push(v);
+        });
+        return values;
+    };
+    const xs = readCoords(0x02, 0x10);
+    const ys = readCoords(0x04, 0x20);
+
+    const contours = [];
+    let first = 0;
+    endPts.forEach(last => {
+        const pts = [];
+        for (let i = first; i <= last; i++) pts.push({ x: xs[i], y: ys[i], on: !!(flags[i] & 0x01) });
+        first = last + 1;
+        if (pts.length > 1) contours.push(quadContour(pts));
+    });
+    return contours;
+}
+
+// On/off curve points -> M/L/Q commands (two off points in a row imply an
+// on point halfway between them)
+function quadContour(pts) {
+    const n = pts.length;
+    let startIdx = pts.findIndex(pt => pt.on);
+    let start;
+    if (startIdx < 0) {
+        // All off-curve: start between the first two
+        start = { x: (pts[0].x + pts[1].x) / 2, y: (pts[0].y + pts[1].y) / 2 };
+        startIdx = 1;
+    } else {
+        start = pts[startIdx];
+        startIdx += 1;
+    }
+
+    const cmds = [{ type: 'M', pts: [{ x: start.x, y: start.y }] }];
+    let ctrl = null;
+    for (let k = 0; k < n; k++) {
+        const pt = pts[(startIdx + k) % n];
+        if (pt.on) {
+            cmds.push(ctrl
+                ? { type: 'Q', pts: [ctrl, { x: pt.x, y: pt.y }] }
+                : { type: 'L', pts: [{ x: pt.x, y: pt.y }] });
+            ctrl = null;
+        } else {
+            if (ctrl) {
+                const mid = { x: (ctrl.x + pt.x) / 2, y: (ctrl.y + pt.y) / 2 };
+                cmds.push({ type: 'Q', pts: [ctrl, mid] });
+            }
+            ctrl = { x: pt.x, y: pt.y };
+        }
+    }
+    // Close back to the start
+    const last = cmds[cmds.length - 1].pts.at(-1);
+    if (ctrl) cmds.push({ type: 'Q', pts: [ctrl, { x: start.x, y: start.y }] });
+    else if (last.x !== start.x || last.y !== start.y) cmds.push({ type: 'L', pts: [{ x: start.x, y: start.y }] });
+    return cmds;
+}
+
+/**
+ * Compact Font Format (the outlines of .otf files), Type 2 charstrings.
+ */
+function readCFF(view, base) {
+    const card8 = (o) => view.getUint8(o);
+
+    // INDEX: count, offSize, offsets, data. Returns [start, end] per entry
+    const readIndex = (offset) => {
+        const count = view.getUint16(offset);
+        if (count === 0) return { entries: [], end: offset + 2 };
+        const offSize = card8(offset + 2);
+        const readOff = (i) => {
+            let v = 0;
+            for (let k = 0; k < offSize; k++) v = v * 256 + card8(offset + 3 + i * offSize + k);
+            return v;
+        };
+        const dataStart = offset + 3 + (count + 1) * offSize - 1;
+        const entries = [];
+        for (let i = 0; i < count; i++) entries.push([dataStart + readOff(i), dataStart + readOff(i + 1)]);
+        return { entries, end: dataStart + readOff(count) };
+    };
+
+    const readDict = (start, end) => {
+        const dict = {};
+        let operands = [];
+        let o = start;
+        while (o < end) {
+            const b0 = card8(o);
+            if (b0 <= 21) {
+                let op = b0;
+                o++;
+                if (b0 === 12) op = 1200 + card8(o++);
+                dict[op] = operands;
+                operands = [];
+            } else if (b0 === 28) {
+                operands.push(view.getInt16(o + 1)); o += 3;
+            } else if (b0 === 29) {
+                operands.push(view.getInt32(o + 1)); o += 5;
+            } else if (b0 === 30) {
+                // Real number, nibble encoded
+                let s = '';
+                o++;
+                for (let done = false; !done; o++) {
+                    const byte = card8(o);
+                    for (const nib of [byte >> 4, byte & 15]) {
+                        if (nib === 15) { done = true; break; }
+                        s += ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', 'E', 'E-', '', '-'][nib];
+                    }
+                }
+                operands.push(parseFloat(s));
+            } else if (b0 >= 32 && b0 <= 246) {
+                operands.push(b0 - 139); o++;
+            } else if (b0 >= 247 && b0 <= 250) {
+                operands.push((b0 - 247) * 256 + card8(o + 1) + 108); o += 2;
+            } else if (b0 >= 251 && b0 <= 254) {
+                operands.push(-(b0 - 251) * 256 - card8(o + 1) - 108); o += 2;
+            } else {
+                o++;
+            }
+        }
+        return dict;
+    };
+
+    const hdrSize = card8(base + 2);
+    const names = readIndex(base + hdrSize);
+    const topDicts = readIndex(names.end);
+    const strings = readIndex(topDicts.end);
+    const globalSubrs = readIndex(strings.end).entries;
+    const top = readDict(...topDicts.entries[0]);
+    if (top[17] === undefined) throw new Error('CFF font has no CharStrings');
+    const charStrings = readIndex(base + top[17][0]).entries;
+
+    const readPrivate = (dict) => {
+        if (!dict[18]) return [];
+        const [size, offset] = dict[18];
+        const priv = readDict(base + offset, base + offset + size);
+        return priv[19] ? readIndex(base + offset + priv[19][0]).entries : [];
+    };
+
+    // CID-keyed fonts pick the local subrs per glyph through FDSelect
+    let localSubrsOf;
+    if (top[1236] && top[1237]) {
+        const fdArray = readIndex(base + top[1236][0]).entries.map(([s, e]) => readPrivate(readDict(s, e)));
+        const fdSelect = base + top[1237][0];
+        const format = card8(fdSelect);
+        localSubrsOf = (gid) => {
+            if (format === 0) return fdArray[card8(fdSelect + 1 + gid)] || [];
+            const ranges = view.getUint16(fdSelect + 1);
+            for (let r = 0; r < ranges; r++) {
+                const first = view.getUint16(fdSelect + 3 + r * 3);
+                const next = view.getUint16(fdSelect + 3 + (r + 1) * 3);
+                if (gid >= first && gid < next) return fdArray[card8(fdSelect + 5 + r * 3)] || [];
+            }
+            return [];
+        };
+    } else {
+        const subrs = readPrivate(top);
+        localSubrsOf = () => subrs;
+    }
+
+    const bias = (subrs) => subrs.length < 1240 ? 107 : (subrs.length < 33900 ? 1131 : 32768);
+
+    return {
+        outline(gid) {
+            if (gid >= charStrings.length) return [];
+            const localSubrs = localSubrsOf(gid);
+            const contours = [];
+            let contour = null;
+            let x = 0, y = 0;
+            let stack = [];
+            let nStems = 0;
+            let haveWidth = false;
+            let done = false;
+
+            const moveTo = (dx, dy) => {
+                x += dx; y += dy;
+                contour = [{ type: 'M', pts: [{ x, y }] }];
+                contours.push(contour);
+            };
+            const lineTo = (dx, dy) => {
+                x += dx; y += dy;
+                if (contour) contour.push({ type: 'L', pts: [{ x, y }] });
+            };
+            const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+                const c1 = { x: x + dx1, y: y + dy1 };
+                const c2 = { x: c1.x + dx2, y: c1.y + dy2 };
+                x = c2.x + dx3; y = c2.y + dy3;
+                if (contour) contour.push({ type: 'C', pts: [c1, c2, { x, y }] });
+            };
+            // The first stack-clearing operator may carry the advance width
+            const takeWidth = (expected) => {
+                if (!haveWidth && stack.length > expected) stack.shift();
+                haveWidth = true;
+            };
+            const stems = () => {
+                takeWidth(stack.length - (stack.length % 2));
+                nStems += stack.length >> 1;
+                stack = [];
+            };
+
+            const run = (start, end, depth) => {
+                let o = start;
+                while (o < end && !done) {
+                    const b0 = card8(o++);
+                    if (b0 >= 32 || b0 === 28) {
+                        if (b0 === 28) { stack.push(view.getInt16(o)); o += 2; }
+                        else if (b0 <= 246) stack.push(b0 - 139);
+                        else if (b0 <= 250) stack.push((b0 - 247) * 256 + card8(o++) + 108);
+                        else if (b0 <= 254) stack.push(-(b0 - 251) * 256 - card8(o++) - 108);
+                        else { stack.push(view.getInt32(o) / 65536); o += 4; }
+                        continue;
+                    }
+
+                    switch (b0) {
+                        case 1: case 3: case 18: case 23: // Stem hints
+                            stems();
+                            break;
+                        case 19: case 20: // hintmask / cntrmask
+                            stems();
+                            o += (nStems + 7) >> 3;
+                            break;
+                        case 21: // rmoveto
+                            takeWidth(2);
+                            moveTo(stack[0], stack[1]);
+                            stack = [];
+                            break;
+                        case 22: // hmoveto
+                            takeWidth(1);
+                            moveTo(stack[0], 0);
+                            stack = [];
+                            break;
+                        case 4: // vmoveto
+                            takeWidth(1);
+                            moveTo(0, stack[0]);
+                            stack = [];
+                            break;
+                        case 5: // rlineto
+                            for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        case 6: case 7: { // hlineto / vlineto, alternating
+                            let horizontal = b0 === 6;
+                            stack.forEach(v => {
+                                if (horizontal) lineTo(v, 0); else lineTo(0, v);
+                                horizontal = !horizontal;
+                            });
+                            stack = [];
+                            break;
+                        }
+                        case 8: // rrcurveto
+                            for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        case 24: { // rcurveline
+                            let i = 0;
+                            for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+                            lineTo(stack[i], stack[i + 1]);
+                            stack = [];
+                            break;
+                        }
+                        case 25: { // rlinecurve
+                            let i = 0;
+                            for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+                            curveTo(...stack.slice(i, i + 6));
+                            stack = [];
+                            break;
+                        }
+                        case 26: { // vvcurveto
+                            let i = 0;
+                            let dx1 = 0;
+                            if (stack.length % 4) dx1 = stack[i++];
+                            for (; i + 3 < stack.length; i += 4) {
+                                curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                                dx1 = 0;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 27: { // hhcurveto
+                            let i = 0;
+                            let dy1 = 0;
+                            if (stack.length % 4) dy1 = stack[i++];
+                            for (; i + 3 < stack.length; i += 4) {
+                                curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                                dy1 = 0;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 30: case 31: { // vhcurveto / hvcurveto, alternating start tangent
+                            let horizontal = b0 === 31;
+                            for (let i = 0; i + 3 < stack.length; i += 4) {
+                                const lastOne = i + 8 > stack.length;
+                                const extra = lastOne && stack.length - i === 5 ? stack[i + 4] : 0;
+                                if (horizontal) curveTo(stack[i], 0, stack[i + 1], stack[i + 2], extra, stack[i + 3]);
+                                else curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], extra);
+                                horizontal = !horizontal;
+                            }
+                            stack = [];
+                            break;
+                        }
+                        case 10: case 29: { // callsubr / callgsubr
+                            const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                            const entry = subrs[stack.pop() + bias(subrs)];
+                            if (entry && depth < 10) run(entry[0], entry[1], depth + 1);
+                            break;
+                        }
+                        case 11: // return
+                            return;
+                        case 14: // endchar
+                            takeWidth(0);
+                            done = true;
+                            return;
+                        case 12: { // Flex
+                            const op = card8(o++);
+                            const s = stack;
+                            if (op === 35) { // flex
+                                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                                curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                            } else if (op === 34) { // hflex
+                                const y0 = y;
+                                curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                                curveTo(s[4], 0, s[5], y0 - y, s[6], 0);
+                            } else if (op === 36) { // hflex1
+                                const y0 = y;
+                                curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                                curveTo(s[5], 0, s[6], s[7], s[8], y0 - (y + s[7]));
+                            } else if (op === 37) { // flex1: last delta goes along the dominant axis
+                                const x0 = x, y0 = y;
+                                let dx = 0, dy = 0;
+                                for (let i = 0; i < 10; i += 2) { dx += s[i]; dy += s[i + 1]; }
+                                curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                                const lastX = Math.abs(dx) > Math.abs(dy) ? s[10] : x0 - (x + s[6] + s[8]);
+                                const lastY = Math.abs(dx) > Math.abs(dy) ? y0 - (y + s[7] + s[9]) : s[10];
+                                curveTo(s[6], s[7], s[8], s[9], lastX, lastY);
+                            }
+                            stack = [];
+                            break;
+                        }
+                        default:
+                            stack = [];
+                    }
+                }
+            };
+
+            const [start, end] = charStrings[gid];
+            run(start, end, 0);
+            // CFF contours close implicitly
+            contours.forEach(c => {
+                const first = c[0].pts[0];
+                const last = c[c.length - 1].pts.at(-1);
+                if (last.x !== first.x || last.y !== first.y) c.push({ type: 'L', pts: [{ ...first }] });
+            });
+            return contours.filter(c => c.length > 1);
+        }
+    };
+}
@@ -0,0 +1,289 @@
+/**
+ * Post-Processors
+ *
+ * The generator writes one neutral dialect: mm, absolute, 3 decimals,
+ * ';' comments and G2/G3 arcs with I/J centre offsets. A post-processor
+ * rewrites that output for a specific controller (and converts it to
+ * inches when units = 'inch').
+ */
+
+import { arcSegments } from './geometry.js';
+
+const MM_PER_INCH = 25.4;
+
+const POSTS = {
+    grbl: {
+        name: 'GRBL / X-Carve',
+        extension: 'gcode',
+        precision: 3,
+        lineNumbers: false,
+        arcs: 'ij',           // 'ij' | 'r' | 'linear'
+        comments: 'semicolon', // 'semicolon' | 'paren'
+        percent: false,       // Wrap the file in '%' lines
+        dwellUnit: 's',       // G4 P in seconds or milliseconds
+        gCodes: ['G0', 'G1', 'G2', 'G3', 'G4', 'G10', 'G17', 'G20', 'G21', 'G80', 'G90', 'G91'],
+        preamble: ['G21 ; Units in mm', 'G90 ; Absolute positioning'],
+        postamble: ['M5 ; Spindle off', 'M30 ; End of program']
+    },
+    linuxcnc: {
+        name: 'LinuxCNC',
+        extension: 'ngc',
+        precision: 4,
+        lineNumbers: false,
+        arcs: 'ij',
+        comments: 'paren',
+        percent: true,
+        dwellUnit: 's',
+        gCodes: ['G0', 'G1', 'G2', 'G3', 'G4', 'G10', 'G17', 'G20', 'G21', 'G40', 'G49', 'G64', 'G80', 'G81', 'G82', 'G83', 'G90', 'G91', 'G98', 'G99'],
+        preamble: ['G21 ; Units in mm', 'G90 ; Absolute positioning', 'G17 G40 G49 G80 ; XY plane, cancel compensation and cycles', 'G64 P0.01 ; Path blending tolerance'],
+        postamble: ['M5 ; Spindle off', 'M2 ; End of program']
+    },
+    mach3: {
+        name: 'Mach3 / Mach4',
+        extension: 'tap',
+        precision: 4,
+        lineNumbers: true,
+        arcs: 'ij',
+        comments: 'paren',
+        percent: false,
+        dwellUnit: 's',
+        gCodes: ['G0', 'G1', 'G2', 'G3', 'G4', 'G17', 'G20', 'G21', 'G40', 'G49', 'G80', 'G81', 'G82', 'G83', 'G90', 'G91', 'G91.1', 'G98', 'G99'],
+        preamble: ['G21 ; Units in mm', 'G90 ; Absolute positioning', 'G91.1 ; Incremental arc centres', 'G17 G40 G49 G80 ; XY plane, cancel compensation and cycles'],
+        postamble: ['M5 ; Spindle off', 'M30 ; End of program']
+    },
+    marlin: {
+        name: 'Marlin',
+        extension: 'gcode',
+        precision: 3,
+        lineNumbers: false,
+        arcs: 'linear',       // ARC_SUPPORT is often compiled out
+        comments: 'semicolon',
+        percent: false,
+        dwellUnit: 'ms',
+        gCodes: ['G0', 'G1', 'G4', 'G17', 'G20', 'G21', 'G90', 'G91'],
+        // M30 deletes a file from the SD card on Marlin, so end with M84 instead
+        preamble: ['G21 ; Units in mm', 'G90 ; Absolute positioning'],
+        postamble: ['M5 ; Spindle off', 'M84 ; Disable steppers']
+    }
+};
+
+export class PostProcessor {
+    /**
+     * @param {string} id - Key of the post ('grbl', 'linuxcnc', 'mach3', 'marlin')
+     * @param {Object} overrides - Per-machine tweaks of the post's settings, e.g. { arcs: 'r', units: 'inch' }
+     */
+    constructor(id = 'grbl', overrides = {}) {
+        this.id = POSTS[id] ? id : 'grbl';
+        this.units = 'mm';
+        Object.assign(this, POSTS[this.id]);
+        Object.keys(overrides).forEach(key => {
+            if (overrides[key] !== undefined && overrides[key] !== '') this[key] = overrides[key];
+        });
+
+        if (this.units === 'inch') {
+            // 3 decimals of an inch is 0.025mm, too coarse
+            this.precision = Math.max(this.precision, 4);
+            this.preamble = this.preamble.map(line => line.startsWith('G21') ? 'G20 ; Units in inches' : line);
+        }
+    }
+
+    /**
+     * Available posts as [{ id, name }] for building a select.
+     */
+    static list() {
+        return Object.keys(POSTS).map(id => ({ id, name: POSTS[id].name }));
+    }
+
+    supports(gCode) {
+        return this.gCodes.includes(gCode);
+    }
+
+    /**
+     * Rewrites neutral G-code lines into this post's dialect.
+     * Returns the finished program text.
+     */
+    format(lines) {
+        const out = [];
+        const pos = { x: 0, y: 0, z: 0 };
+        let lineNumber = 0;
+
+        const emit = (code, comment) => {
+            let text = code;
+            if (code && this.lineNumbers) {
+                lineNumber += 10;
+                text = `N${lineNumber} ${code}`;
+            }
+            if (comment) text = text ? `${text} ${this.formatComment(comment)}` : this.formatComment(comment);
+            if (text) out.push(text);
+        };
+
+        if (this.percent) out.push('%');
+
+        lines.forEach(raw => {
+            const split = raw.indexOf(';');
+            const code = (split >= 0 ? raw.slice(0, split) : raw).trim();
+            const comment = split >= 0 ? raw.slice(split + 1).trim() : '';
+
+            if (!code) {
+                emit('', comment);
+                return;
+            }
+
+            const words = this.parseWords(code);
+            if (this.units === 'inch') this.toInches(words);
+            const g = words.find(w => w.letter === 'G');
+            const gCode = g ? `G${g.value}` : null;
+
+            if (gCode && !this.supports(gCode) && !(gCode === 'G2' || gCode === 'G3')) {
+                // Nothing sensible to convert it into: keep it visible but inert
+                emit('', `Unsupported by ${this.name}: ${code}`);
+                return;
+            }
+
+            if (gCode === 'G2' || gCode === 'G3') {
+                this.formatArc(words, pos, comment).forEach(([c, note]) => emit(c, note));
+                this.trackPosition(words, pos);
+                return;
+            }
+
+            if (gCode === 'G4' && this.dwellUnit === 'ms') {
+                words.forEach(w => { if (w.letter === 'P') w.value = String(Math.round(parseFloat(w.value) * 1000)); });
+            }
+
+            // Canned cycle follow-up lines ("X.. Y..") move the machine too
+            this.trackPosition(words, pos);
+            emit(this.joinWords(words), comment);
+        });
+
+        if (this.percent) out.push('%');
+        return out.join('\n');
+    }
+
+    parseWords(code) {
+        const words = [];
+        const re = /([A-Z])\s*([-+]?[0-9]*\.?[0-9]+)/gi;
+        let m;
+        while ((m = re.exec(code)) !== null) {
+            words.push({ letter: m[1].toUpperCase(), value: m[2] });
+        }
+        // G-codes are compared without leading zeros ("G01" = "G1")
+        words.forEach(w => {
+            if (w.letter === 'G' || w.letter === 'M') w.value = String(parseFloat(w.value));
+        });
+        return words;
+    }
+
+    /**
+     * Converts distance words and feeds (mm/min -> in/min) from mm to inches.
+     */
+    toInches(words) {
+        words.forEach(w => {
+            if ('XYZIJRQ'.includes(w.letter)) w.value = String(parseFloat(w.value) / MM_PER_INCH);
+            if (w.letter === 'F') w.value = String(parseFloat((parseFloat(w.value) / MM_PER_INCH).toFixed(2)));
+        });
+    }
+
+    /**
+     * Length for comments, in the output units.
+     */
+    describeLength(mm, decimals) {
+        if (this.units === 'inch') return `${parseFloat((mm / MM_PER_INCH).toFixed(4))}in`;
+        return `${decimals !== undefined ? mm.toFixed(decimals) : mm}mm`;
+    }
+
+    /**
+     * Coordinate for comments, in the output units (no suffix, like the X/Y/Z words).
+     */
+    describeCoord(mm, decimals) {
+        if (this.units === 'inch') return (mm / MM_PER_INCH).toFixed(4);
+        return mm.toFixed(decimals);
+    }
+
+    joinWords(words) {
+        return words.map(w => {
+            if ('XYZIJRQ'.includes(w.letter)) return `${w.letter}${this.formatNumber(parseFloat(w.value))}`;
+            return `${w.letter}${w.value}`;
+        }).join(' ');
+    }
+
+    formatNumber(n) {
+        const s = n.toFixed(this.precision);
+        // Avoid "-0.000"
+        return parseFloat(s) === 0 ? (0).toFixed(this.precision) : s;
+    }
+
+    formatComment(text) {
+        if (this.comments === 'paren') {
+            // Parentheses can't be nested inside a comment
+            return `(${text.replace(/\(/g, '[').replace(/\)/g, ']')})`;
+        }
+        return `; ${text}`;
+    }
+
+    trackPosition(words, pos) {
+        words.forEach(w => {
+            if (w.letter === 'X') pos.x = parseFloat(w.value);
+            if (w.letter === 'Y') pos.y = parseFloat(w.value);
+            if (w.letter === 'Z') pos.z = parseFloat(w.value);
+        });
+    }
+
+    /**
+     * Converts one I/J arc into this post's arc form.
+     * Returns [[code, comment], ...].
+     */
+    formatArc(words, pos, comment) {
+        const get = (letter, fallback) => {
+            const w = words.find(word => word.letter === letter);
+            return w ? parseFloat(w.value) : fallback;
+        };
+        const ccw = words.find(w => w.letter === 'G').value === '3';
+        const end = { x: get('X', pos.x), y: get('Y', pos.y), z: get('Z', pos.z) };
+        const center = { x: pos.x + get('I', 0), y: pos.y + get('J', 0) };
+        const feed = words.find(w => w.letter === 'F');
+        const fWord = feed ? ` F${feed.value}` : '';
+        const zMoves = Math.abs(end.z - pos.z) > 0.0001;
+
+        if (this.arcs === 'ij') return [[this.joinWords(words), comment]];
+
+        // Signed sweep from start to end around the centre
+        const r = Math.hypot(pos.x - center.x, pos.y - center.y);
+        const a0 = Math.atan2(pos.y - center.y, pos.x - center.x);
+        let sweep = Math.atan2(end.y - center.y, end.x - center.x) - a0;
+        if (ccw && sweep <= 1e-9) sweep += Math.PI * 2;
+        if (!ccw && sweep >= -1e-9) sweep -= Math.PI * 2;
+
+        const pointAt = (t) => ({
+            x: center.x + r * Math.cos(a0 + sweep * t),
+            y: center.y + r * Math.sin(a0 + sweep * t),
+            z: pos.z + (end.z - pos.z) * t
+        });
+        const move = (g, pt, extra = '') => {
+            const z = zMoves ? ` Z${this.formatNumber(pt.z)}` : '';
+            return `${g} X${this.formatNumber(pt.x)} Y${this.formatNumber(pt.y)}${z}${extra}${fWord}`;
+        };
+
+        if (this.arcs === 'r') {
+            // R-form can't describe a full circle, and at 180 deg the rounded chord
+            // can come out longer than 2R (GRBL error 33), so keep every piece under a half turn
+            const g = ccw ? 'G3' : 'G2';
+            const pieces = Math.floor(Math.abs(sweep) / Math.PI + 1e-6) + 1;
+            const result = [];
+            for (let i = 1; i <= pieces; i++) {
+                const pt = i === pieces ? end : pointAt(i / pieces);
+                result.push([move(g, pt, ` R${this.formatNumber(r)}`), i === 1 ? comment : '']);
+            }
+            return result;
+        }
+
+        // Linearised, to 0.01mm whichever units the words are in by now
+        const tolerance = this.units === 'inch' ? 0.01 / MM_PER_INCH : 0.01;
+        const segs = arcSegments(r, sweep, tolerance);
+        const result = [];
+        for (let i = 1; i <= segs; i++) {
+            const pt = i === segs ? end : pointAt(i / segs);
+            result.push([move('G1', pt), i === 1 ? comment : '']);
+        }
+        return result;
+    }
+}
@@ -1,3 +1,6 @@
+import { getFont } from './fontloader.js';
+import { layoutText } from './textlayout.js';
+
 export class Sketcher {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -7,6 +10,7 @@ export class Sketcher {
         this.mode = 'vertex'; // 'vertex' or 'text'
         this.isClosed = false;
         this.gridSize = 10; // 10mm
+        this.units = 'mm'; // Display units; points are always stored in mm
         this.scale = 1; // Pixels per mm, usually handled by draw transform
         
         // Canvas Setup
@@ -67,18 +71,9 @@ export class Sketcher {
         const p = this.snap(raw);
 
         if (this.mode === 'text') {
-            const textEl = document.getElementById('sketchText');
-            const sizeEl = document.getElementById('sketchTextSize');
-            const text = textEl ? textEl.value : 'TEXT';
-            const size = sizeEl ? parseFloat(sizeEl.value) : 10;
-            
-            if (text) {
-                this.textObjects.push({
-                    text: text,
-                    x: p.x,
-                    y: p.y,
-                    size: size
-                });
+            const settings = this.readTextSettings();
+            if (settings.text) {
+                this.textObjects.push({ ...settings, x: p.x, y: p.y });
                 this.draw();
                 this.triggerUpdate();
             }
@@ -105,6 +100,65 @@ export class Sketcher {
         this.triggerUpdate();
     }
 
+    // Text object settings from the text mode toolbar (lengths in mm)
+    readTextSettings() {
+        const el = (id) => document.getElementById(id);
+        const value = (id, fallback) => el(id) ? el(id).value : fallback;
+        const num = (id, fallback) => {
+            const v = parseFloat(value(id, ''));
+            return isNaN(v) ? fallback : v;
+        };
+        return {
+            text: value('sketchText', 'TEXT'),
+            size: num('sketchTextSize', 10) * this.unitScale(),
+            font: value('sketchFont', ''), // '' = built-in stroke font
+            cut: value('sketchTextCut', 'outline'), // Outline fonts only
+            align: value('sketchTextAlign', 'left'),
+            valign: value('sketchTextVAlign', 'baseline'),
+            lineSpacing: num('sketchLineSpacing', 1.5),
+            letterSpacing: num('sketchLetterSpacing', 0) * this.unitScale(),
+            rotation: num('sketchTextRotation', 0),
+            arc: value('sketchTextArc', 'none'),
+            arcRadius: num('sketchArcRadius', 50) * this.unitScale()
+        };
+    }
+
+    // Draws the strokes (or letter outlines) that will be engraved
+    drawText(obj, color) {
+        const font = getFont(obj.font) || getFont();
+        const { paths, closed } = layoutText(obj, font);
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        paths.forEach(path => {
+            // Glyphs are Y up, the canvas is Y down
+            path.forEach((pt, i) => {
+                const s = this.logicToScreen({ x: obj.x + pt.x, y: obj.y - pt.y });
+                if (i === 0) this.ctx.moveTo(s.x, s.y);
+                else this.ctx.lineTo(s.x, s.y);
+            });
+            if (closed) this.ctx.closePath();
+            // Single point strokes (dots) need something to show
+            if (path.length === 1) {
+                const s = this.logicToScreen({ x: obj.x + path[0].x, y: obj.y - path[0].y });
+                this.ctx.rect(s.x - 0.5, s.y - 0.5, 1, 1);
+            }
+        });
+        this.ctx.stroke();
+
+        // Guide circle for text on an arc
+        if (obj.arc && obj.arc !== 'none' && obj.arcRadius > 0) {
+            const c = this.logicToScreen(obj);
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.globalAlpha = 0.3;
+            this.ctx.beginPath();
+            this.ctx.arc(c.x, c.y, obj.arcRadius * this.pixelsPerUnit, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
     onMove(e) {
         const raw = this.screenToLogic(this.getMousePos(e));
         this.mousePos = this.snap(raw);
@@ -179,7 +233,7 @@ export class Sketcher {
                     this.ctx.fillStyle = '#007bff';
                     this.ctx.textAlign = 'center';
                     this.ctx.textBaseline = 'bottom';
-                    this.ctx.fillText(`${dist.toFixed(1)} mm`, midX, midY - 5);
+                    this.ctx.fillText(this.formatLength(dist), midX, midY - 5);
                     this.ctx.restore();
                 }
             }
@@ -209,31 +263,13 @@ export class Sketcher {
         }
 
         // Draw Text Objects
-        this.textObjects.forEach(obj => {
-            const s = this.logicToScreen(obj);
-            this.ctx.save();
-            this.ctx.font = `${obj.size * this.pixelsPerUnit}px monospace`;
-            this.ctx.fillStyle = '#000';
-            this.ctx.textBaseline = 'bottom';
-            this.ctx.fillText(obj.text, s.x, s.y);
-            this.ctx.restore();
-        });
+        this.textObjects.forEach(obj => this.drawText(obj, '#000'));
 
         // Show cursor/preview
         if (this.mousePos) {
             const m = this.logicToScreen(this.mousePos);
             if (this.mode === 'text') {
-                const textEl = document.getElementById('sketchText');
-                const sizeEl = document.getElementById('sketchTextSize');
-                const text = textEl ? textEl.value : 'TEXT';
-                const size = sizeEl ? parseFloat(sizeEl.value) : 10;
-                
-                this.ctx.save();
-                this.ctx.font = `${size * this.pixelsPerUnit}px monospace`;
-                this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-                this.ctx.textBaseline = 'bottom';
-                this.ctx.fillText(text, m.x, m.y);
-                this.ctx.restore();
+                this.drawText({ ...this.readTextSettings(), ...this.mousePos }, 'rgba(0, 0, 0, 0.3)');
             } else if (this.points.length === 0) {
                 this.ctx.fillStyle = '#aaa';
                 this.ctx.beginPath();
@@ -258,6 +294,14 @@ export class Sketcher {
     getTextObjects() {
         return this.textObjects;
     }
+
+    // Restore a saved sketch (e.g. from a job operation)
+    load(points, textObjects) {
+        this.points = (points || []).map(p => ({ ...p }));
+        this.textObjects = (textObjects || []).map(t => ({ ...t }));
+        this.isClosed = this.points.length > 2;
+        this.draw();
+    }
     
     // Callback registration
     onUpdate(cb) {
@@ -273,10 +317,35 @@ export class Sketcher {
         this.draw();
     }
 
+    // delta is in display units (mm or inches)
     changeGrid(delta) {
-        this.gridSize += delta;
-        if (this.gridSize < 1) this.gridSize = 1;
+        const scale = this.unitScale();
+        const min = this.units === 'inch' ? 0.125 * scale : 1;
+        this.gridSize += delta * scale;
+        if (this.gridSize < min) this.gridSize = min;
         this.draw();
         return this.gridSize;
     }
+
+    // Switch display units, grid snaps to round values in the new units
+    setUnits(units) {
+        this.units = units === 'inch' ? 'inch' : 'mm';
+        this.gridSize = this.units === 'inch' ? 0.5 * 25.4 : 10;
+        this.draw();
+    }
+
+    // mm per display unit
+    unitScale() {
+        return this.units === 'inch' ? 25.4 : 1;
+    }
+
+    formatLength(mm) {
+        if (this.units === 'inch') return `${(mm / 25.4).toFixed(2)} in`;
+        return `${mm.toFixed(1)} mm`;
+    }
+
+    getGridLabel() {
+        if (this.units === 'inch') return `${parseFloat((this.gridSize / 25.4).toFixed(3))}in`;
+        return `${parseFloat(this.gridSize.toFixed(1))}mm`;
+    }
 }
@@ -0,0 +1,201 @@
+/**
+ * Built-in single-stroke font
+ *
+ * Glyphs sit on a 10 unit cap height: baseline y=0, x-height 6,
+ * descenders down to y=-3. Each entry is [width, strokes] where strokes is
+ * "x,y x,y ..." polylines separated by '|'. The cursor advances by
+ * width + LETTER_GAP after each glyph.
+ */
+
+const LETTER_GAP = 2;
+
+const GLYPHS = {
+    // Uppercase
+    'A': [6, '0,0 3,10 6,0|1,4 5,4'],
+    'B': [6, '0,0 0,10 4,10 5,9 5,6 4,5 0,5|0,5 5,5 6,4 6,1 5,0 0,0'],
+    'C': [6, '6,2 4,0 1,0 0,2 0,8 1,10 4,10 6,8'],
+    'D': [6, '0,0 0,10 4,10 6,8 6,2 4,0 0,0'],
+    'E': [6, '6,0 0,0 0,10 6,10|0,5 4,5'],
+    'F': [6, '0,0 0,10 6,10|0,5 4,5'],
+    'G': [6, '6,8 4,10 1,10 0,8 0,2 1,0 4,0 6,2 6,5 3,5'],
+    'H': [6, '0,0 0,10|6,0 6,10|0,5 6,5'],
+    'I': [6, '3,0 3,10|1,0 5,0|1,10 5,10'],
+    'J': [6, '0,2 2,0 4,0 4,10 1,10'],
+    'K': [6, '0,0 0,10|0,5 5,10|0,5 5,0'],
+    'L': [6, '0,10 0,0 6,0'],
+    'M': [6, '0,0 0,10 3,7 6,10 6,0'],
+    'N': [6, '0,0 0,10 6,0 6,10'],
+    'O': [6, '1,0 0,2 0,8 1,10 5,10 6,8 6,2 5,0 1,0'],
+    'P': [6, '0,0 0,10 4,10 6,8 6,6 4,5 0,5'],
+    'Q': [6, '1,0 0,2 0,8 1,10 5,10 6,8 6,2 5,0 1,0|4,2 6,0'],
+    'R': [6, '0,0 0,10 4,10 6,8 6,6 4,5 0,5|3,5 6,0'],
+    'S': [6, '0,2 2,0 4,0 6,2 6,4 0,6 0,8 2,10 4,10 6,8'],
+    'T': [6, '3,0 3,10|0,10 6,10'],
+    'U': [6, '0,10 0,2 2,0 4,0 6,2 6,10'],
+    'V': [6, '0,10 3,0 6,10'],
+    'W': [6, '0,10 1,0 3,4 5,0 6,10'],
+    'X': [6, '0,0 6,10|0,10 6,0'],
+    'Y': [6, '3,0 3,5 0,10|3,5 6,10'],
+    'Z': [6, '0,10 6,10 0,0 6,0'],
+    'Æ': [9, '0,0 4,10 9,10|4,10 4,0 9,0|2,5 8,5'],
+    'Ø': [6, '1,0 0,2 0,8 1,10 5,10 6,8 6,2 5,0 1,0|0,-0.5 6,10.5'],
+
+    // Lowercase
+    'a': [5, '5,6 5,0|5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5'],
+    'b': [5, '0,10 0,0|0,4.5 1.5,6 3.5,6 5,4.5 5,1.5 3.5,0 1.5,0 0,1.5'],
+    'c': [5, '5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5'],
+    'd': [5, '5,10 5,0|5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5'],
+    'e': [5, '0,3 5,3 5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1'],
+    'f': [4, '4,10 2.5,10 1.5,9 1.5,0|0,6 3.5,6'],
+    'g': [5, '5,6 5,-1.5 3.5,-3 1.5,-3 0.5,-2|5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5'],
+    'h': [5, '0,10 0,0|0,4.5 1.5,6 3.5,6 5,4.5 5,0'],
+    'i': [2, '1,6 1,0|1,8 1,8.5'],
+    'j': [3, '3,6 3,-1.5 1.5,-3 0,-3|3,8 3,8.5'],
+    'k': [4.5, '0,10 0,0|0,2 4,6|1.5,3.5 4.5,0'],
+    'l': [2, '1,10 1,0'],
+    'm': [6, '0,6 0,0|0,4.5 1,6 2,6 3,4.5 3,0|3,4.5 4,6 5,6 6,4.5 6,0'],
+    'n': [5, '0,6 0,0|0,4.5 1.5,6 3.5,6 5,4.5 5,0'],
+    'o': [5, '1.5,0 0,1.5 0,4.5 1.5,6 3.5,6 5,4.5 5,1.5 3.5,0 1.5,0'],
+    'p': [5, '0,6 0,-3|0,4.5 1.5,6 3.5,6 5,4.5 5,1.5 3.5,0 1.5,0 0,1.5'],
+    'q': [5, '5,6 5,-3|5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5'],
+    'r': [4, '0,6 0,0|0,3.5 2.5,6 4,6'],
+    's': [5, '5,5 4,6 1,6 0,5 0,4 1,3 4,3 5,2 5,1 4,0 1,0 0,1'],
+    't': [3.5, '1.5,9 1.5,1 2.5,0 3.5,0|0,6 3.5,6'],
+    'u': [5, '0,6 0,1.5 1.5,0 3.5,0 5,1.5|5,6 5,0'],
+    'v': [5, '0,6 2.5,0 5,6'],
+    'w': [6, '0,6 1.5,0 3,4 4.5,0 6,6'],
+    'x': [5, '0,6 5,0|0,0 5,6'],
+    'y': [5, '0,6 2.5,0|5,6 1.5,-3 0,-3'],
+    'z': [5, '0,6 5,6 0,0 5,0'],
+    'ß': [5, '0,0 0,8 1,10 3,10 4,9 4,7 2,6 4,5 5,4 5,1 4,0 2,0'],
+    'æ': [9, '4,6 4,0|4,4.5 2.5,6 1.5,6 0,4.5 0,1.5 1.5,0 2.5,0 4,1.5|4,3 9,3 9,4.5 7.5,6 5.5,6 4,4.5|4,1.5 5.5,0 7.5,0 9,1'],
+    'ø': [5, '1.5,0 0,1.5 0,4.5 1.5,6 3.5,6 5,4.5 5,1.5 3.5,0 1.5,0|0,-0.5 5,6.5'],
+    // Dotless i/j, used under accents
+    'ı': [2, '1,6 1,0'],
+    'ȷ': [3, '3,6 3,-1.5 1.5,-3 0,-3'],
+
+    // Digits (all the same width so columns line up)
+    '0': [6, '1,0 0,2 0,8 1,10 5,10 6,8 6,2 5,0 1,0|5,8 1,2'],
+    '1': [6, '1,8 3,10 3,0|1,0 5,0'],
+    '2': [6, '0,8 2,10 4,10 6,8 6,5 0,0 6,0'],
+    '3': [6, '0,8 2,10 4,10 6,8 6,6 4,5 6,4 6,2 4,0 2,0 0,2|2,5 4,5'],
+    '4': [6, '4,0 4,10 0,3 6,3'],
+    '5': [6, '6,10 0,10 0,5 4,5 6,4 6,2 4,0 0,0'],
+    '6': [6, '5,10 2,10 0,8 0,2 2,0 4,0 6,2 6,4 4,5 0,5'],
+    '7': [6, '0,10 6,10 2,0'],
+    '8': [6, '2,5 1,6 1,9 2,10 4,10 5,9 5,6 4,5 5,4 5,1 4,0 2,0 1,1 1,4 2,5'],
+    '9': [6, '6,5 2,5 0,6 0,8 2,10 4,10 6,8 6,2 4,0 1,0'],
+
+    // Punctuation
+    ' ': [4, ''],
+    '.': [1, '0,0 1,0 1,1 0,1 0,0'],
+    ',': [1.5, '1,1 1,0 0,-2'],
+    ':': [1, '0.5,6 0.5,5|0.5,1 0.5,0'],
+    ';': [1.5, '1,6 1,5|1,1 1,0 0,-2'],
+    '!': [1, '0.5,10 0.5,3|0.5,0.5 0.5,0'],
+    '?': [5, '0,8 1,10 4,10 5,9 5,7 2.5,5 2.5,3|2.5,0.5 2.5,0'],
+    '\'': [1, '0.5,10 0.5,7'],
+    '"': [3, '0.5,10 0.5,7|2.5,10 2.5,7'],
+    '`': [1.5, '0,10 1.5,8.5'],
+    '-': [4, '0,5 4,5'],
+    '_': [6, '0,-1 6,-1'],
+    '(': [2.5, '2.5,11 1,9 0.5,5 1,1 2.5,-1'],
+    ')': [2.5, '0,11 1.5,9 2,5 1.5,1 0,-1'],
+    '[': [2.5, '2.5,11 0.5,11 0.5,-1 2.5,-1'],
+    ']': [2.5, '0,11 2,11 2,-1 0,-1'],
+    '{': [3, '3,11 2,10.5 2,6 1,5 2,4 2,-0.5 3,-1'],
+    '}': [3, '0,11 1,10.5 1,6 2,5 1,4 1,-0.5 0,-1'],
+    '/': [5, '0,-1 5,11'],
+    '\\': [5, '0,11 5,-1'],
+    '|': [1, '0.5,11 0.5,-1'],
+
+    // Symbols
+    '&': [6, '6,0 1,7 1,9 2,10 3,10 4,9 4,8 0,3 0,1 1,0 3,0 6,4'],
+    '#': [6, '1.5,0 2.5,10|3.5,0 4.5,10|0,3.5 6,3.5|0,6.5 6,6.5'],
+    '@': [7, '5,3 5,6 4,7 3,7 2,6 2,4 3,3 5,3 6,4 7,6 7,7 5,9 2,9 0,7 0,3 2,1 5,1'],
+    '$': [6, '6,8 4,9 2,9 0,8 0,6 2,5 4,5 6,4 6,2 4,1 2,1 0,2|3,10 3,0'],
+    '%': [6, '0,0 6,10|1,10 0,9 1,8 2,9 1,10|5,2 4,1 5,0 6,1 5,2'],
+    '*': [5, '2.5,9 2.5,4|0,7.5 5,5.5|0,5.5 5,7.5'],
+    '+': [6, '3,8 3,2|0,5 6,5'],
+    '=': [5, '0,6.5 5,6.5|0,3.5 5,3.5'],
+    '<': [5, '5,8 0,5 5,2'],
+    '>': [5, '0,8 5,5 0,2'],
+    '^': [5, '0,7 2.5,10 5,7'],
+    '~': [6, '0,5 1,6 2,6 4,4 5,4 6,5'],
+    '°': [3, '1,10 0,9 0,8 1,7 2,7 3,8 3,9 2,10 1,10'],
+    '±': [6, '3,8 3,3|0,5.5 6,5.5|0,1 6,1'],
+    '×': [5, '0,2.5 5,7.5|0,7.5 5,2.5'],
+    '÷': [6, '0,5 6,5|3,8 3,7.5|3,2.5 3,2'],
+    '€': [6, '6,8.5 4.5,10 2.5,10 1,8 1,2 2.5,0 4.5,0 6,1.5|0,6 4,6|0,4 4,4'],
+    '£': [6, '5,9 4,10 3,10 2,9 2,0|0,5 4,5|0,0 6,0'],
+    '¢': [5, '5,4.5 3.5,6 1.5,6 0,4.5 0,1.5 1.5,0 3.5,0 5,1.5|2.5,7.5 2.5,-1.5'],
+    '¡': [1, '0.5,6 0.5,5.5|0.5,3 0.5,-4'],
+    '¿': [5, '5,-2 4,-4 1,-4 0,-3 0,-1 2.5,1 2.5,3|2.5,5.5 2.5,6']
+};
+
+// Accent marks, centred on x=0 with their lowest point at y=0.
+// They sit above the x-height for lowercase and above the caps otherwise.
+const MARKS = {
+    '\u0300': '-1,2 0.5,0',               // grave
+    '\u0301': '-0.5,0 1,2',               // acute
+    '\u0302': '-1.5,0 0,1.5 1.5,0',       // circumflex
+    '\u0303': '-2,0 -1,1 1,0 2,1',        // tilde
+    '\u0308': '-1.5,0 -1.5,0.5|1.5,0 1.5,0.5', // diaeresis
+    '\u030a': '0,0 -0.75,0.75 0,1.5 0.75,0.75 0,0', // ring
+    '\u030c': '-1.5,1.5 0,0 1.5,1.5'      // caron
+};
+// Marks hanging below the baseline (drawn at y=0 as-is)
+const LOW_MARKS = {
+    '\u0327': '0,0 0.5,-1 -0.5,-2'        // cedilla
+};
+
+const cache = new Map();
+
+function parseStrokes(spec) {
+    if (!spec) return [];
+    return spec.split('|').map(stroke => stroke.trim().split(/\s+/).map(pair => {
+        const [x, y] = pair.split(',').map(Number);
+        return { x, y };
+    }));
+}
+
+function buildGlyph(char) {
+    if (GLYPHS[char]) {
+        const [width, spec] = GLYPHS[char];
+        return { advance: width + LETTER_GAP, paths: parseStrokes(spec) };
+    }
+
+    // Accented letters: base letter + combining marks (é = e + U+0301)
+    const [base, ...marks] = char.normalize('NFD');
+    if (!marks.length || !marks.every(m => MARKS[m] || LOW_MARKS[m])) return null;
+
+    const upper = base !== base.toLowerCase();
+    const hasUpperMark = marks.some(m => MARKS[m]);
+    let baseChar = base;
+    if (hasUpperMark && base === 'i') baseChar = 'ı';
+    if (hasUpperMark && base === 'j') baseChar = 'ȷ';
+    if (!GLYPHS[baseChar]) return null;
+
+    const [width, spec] = GLYPHS[baseChar];
+    const paths = parseStrokes(spec);
+    const cx = width / 2;
+    let top = upper || /[bdfhklt]/.test(base) ? 11 : 7.5;
+    marks.forEach(m => {
+        if (LOW_MARKS[m]) {
+            parseStrokes(LOW_MARKS[m]).forEach(path => paths.push(path.map(pt => ({ x: pt.x + cx, y: pt.y }))));
+            return;
+        }
+        parseStrokes(MARKS[m]).forEach(path => paths.push(path.map(pt => ({ x: pt.x + cx, y: pt.y + top }))));
+        top += 2.5; // Stacked marks (rare)
+    });
+    return { advance: width + LETTER_GAP, paths };
+}
+
+/**
+ * Glyph for a character as { advance, paths } in font units (10 = cap height),
+ * or null if the font can't draw it.
+ */
+export function getGlyph(char) {
+    if (!cache.has(char)) cache.set(char, buildGlyph(char));
+    return cache.get(char);
+}
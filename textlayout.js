@@ -0,0 +1,108 @@
+/**
+ * Text Layout
+ *
+ * Places the glyphs of a text object: alignment, multiple lines, letter
+ * spacing, rotation and text along a circular arc. The generator and the
+ * sketcher both use it, so the preview shows the strokes that get cut.
+ * Points are offsets from the text object's anchor in mm, Y up.
+ */
+
+import { flattenOutline } from './outlinefont.js';
+
+// Text objects saved before these options existed get the old layout
+const DEFAULTS = {
+    align: 'left',        // 'left' | 'center' | 'right'
+    valign: 'baseline',   // 'baseline' | 'bottom' | 'middle' | 'top'
+    lineSpacing: 1.5,     // Baseline to baseline, in multiples of the size
+    letterSpacing: 0,     // Extra mm between letters
+    rotation: 0,          // Degrees, counter-clockwise
+    arc: 'none',          // 'none' | 'top' | 'bottom'
+    arcRadius: 50         // mm, circle centred on the anchor
+};
+
+/**
+ * Lays out a text object in a font.
+ * Stroke fonts give open strokes; outline fonts give closed letter rings
+ * (outer boundaries CCW, holes CW). glyphOf[i] numbers the glyph that
+ * paths[i] belongs to.
+ * @returns {{ paths: Array<Array<{x: number, y: number}>>, glyphOf: number[], closed: boolean, missing: Set<string> }}
+ */
+export function layoutText(obj, font) {
+    const o = { ...DEFAULTS, ...obj };
+    const scale = o.size / 10; // Fonts are normalised to a cap height of 10
+    const lineHeight = o.size * o.lineSpacing;
+    const lines = String(o.text).split(/\r?\n/);
+    const missing = new Set();
+    const paths = [];
+    const glyphOf = [];
+    let glyphCount = 0;
+
+    // The block runs from the cap top of the first line to the last baseline
+    const lastBaseline = -(lines.length - 1) * lineHeight;
+    const firstBaseline = {
+        baseline: 0,
+        top: -o.size,
+        middle: -(o.size + lastBaseline) / 2,
+        bottom: -lastBaseline
+    }[o.valign] || 0;
+
+    const angle = (o.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+
+    lines.forEach((line, row) => {
+        const glyphs = [];
+        for (const char of line) {
+            const glyph = font.getGlyph(char);
+            if (glyph) glyphs.push(glyph);
+            else missing.add(char);
+        }
+        const advances = glyphs.map(glyph => glyph.advance * scale);
+        const width = advances.reduce((sum, a) => sum + a, 0) + o.letterSpacing * Math.max(0, glyphs.length - 1);
+        let cursor = { left: 0, center: -width / 2, right: -width }[o.align] || 0;
+        const baseline = firstBaseline - row * lineHeight;
+
+        glyphs.forEach((glyph, i) => {
+            const place = glyphTransform(o, cursor, advances[i], baseline);
+            const shapes = font.outline
+                ? flattenOutline(glyph.contours, scale, 0.01)
+                : glyph.paths.map(path => path.map(pt => ({ x: pt.x * scale, y: pt.y * scale })));
+            shapes.forEach(shape => {
+                if (shape.length === 0) return;
+                paths.push(shape.map(pt => {
+                    const q = place(pt);
+                    return { x: q.x * cos - q.y * sin, y: q.x * sin + q.y * cos };
+                }));
+                glyphOf.push(glyphCount);
+            });
+            glyphCount++;
+            cursor += advances[i] + o.letterSpacing;
+        });
+    });
+
+    return { paths, glyphOf, closed: !!font.outline, missing };
+}
+
+/**
+ * Maps glyph points (mm from the glyph origin) into the text frame.
+ * On an arc each letter stays rigid and stands on the circle: 'top'
+ * reads clockwise over the top, 'bottom' counter-clockwise under it,
+ * both upright. The cursor becomes the arc length from the top (bottom).
+ */
+function glyphTransform(o, cursor, advance, baseline) {
+    if ((o.arc !== 'top' && o.arc !== 'bottom') || !(o.arcRadius > 0)) {
+        return (pt) => ({ x: cursor + pt.x, y: baseline + pt.y });
+    }
+    const s = o.arc === 'top' ? 1 : -1;
+    const theta = s * (Math.PI / 2 - (cursor + advance / 2) / o.arcRadius);
+    const n = { x: Math.cos(theta), y: Math.sin(theta) };
+    const up = { x: s * n.x, y: s * n.y };
+    const along = { x: s * n.y, y: -s * n.x };
+    return (pt) => {
+        const u = pt.x - advance / 2;
+        const v = baseline + pt.y;
+        return {
+            x: o.arcRadius * n.x + u * along.x + v * up.x,
+            y: o.arcRadius * n.y + u * along.y + v * up.y
+        };
+    };
+}
@@ -1,6 +1,9 @@
 import { GCodeGenerator } from './generator.js';
 import { GCodeViewer } from './visualizer3d.js';
 import { Sketcher } from './sketcher.js';
+import { polygonPerimeter, pointAlongPolygon, regularPolygon, starPolygon } from './geometry.js';
+import { parseJHF, parseSVGFont, registerFont, getFont } from './fontloader.js';
+import { parseOutlineFont } from './outlinefont.js';
 
 const generator = new GCodeGenerator();
 let sketcher, staticViewer, simViewer;
@@ -9,24 +12,71 @@ let lineOffsets = []; // Store start/end indices
 
 // State
 let tabs = [];
+let drillPoints = [{ x: 0, y: 0 }];
+let jobOperations = []; // Ordered list of { name, params, form }
+let surfacing = null; // Spoilboard surfacing settings while its program is shown
 
 // Configs
+// Default values are in mm
 const shapeConfigs = {
-    square: [{ id: 'width', label: 'Side Length (mm)', value: 50 }],
+    square: [{ id: 'width', label: 'Side Length', value: 50 }],
     rectangle: [
-        { id: 'width', label: 'Width (mm)', value: 80 },
-        { id: 'height', label: 'Height (mm)', value: 40 }
+        { id: 'width', label: 'Width', value: 80 },
+        { id: 'height', label: 'Height', value: 40 }
+    ],
+    circle: [{ id: 'diameter', label: 'Diameter', value: 50 }],
+    roundrect: [
+        { id: 'width', label: 'Width', value: 80 },
+        { id: 'height', label: 'Height', value: 40 },
+        { id: 'cornerRadius', label: 'Corner Radius', value: 6 }
+    ],
+    ellipse: [
+        { id: 'width', label: 'Width', value: 80 },
+        { id: 'height', label: 'Height', value: 40 }
+    ],
+    polygon: [
+        { id: 'polygonSides', label: 'Sides', value: 6, count: true },
+        { id: 'diameter', label: 'Across Corners', value: 50 }
+    ],
+    slot: [
+        { id: 'slotLength', label: 'Length', value: 60 },
+        { id: 'slotWidth', label: 'Width', value: 12 }
+    ],
+    star: [
+        { id: 'starPoints', label: 'Points', value: 5, count: true },
+        { id: 'diameter', label: 'Outer Diameter', value: 60 },
+        { id: 'innerDiameter', label: 'Inner Diameter', value: 25 }
     ],
-    circle: [{ id: 'diameter', label: 'Diameter (mm)', value: 50 }],
     sketch: []
 };
 
+const parametricShapes = ['roundrect', 'ellipse', 'polygon', 'slot', 'star'];
+
+// How tabs are placed on each shape: along a side, at an angle or a distance
+const tabKind = (shape) => {
+    if (shape === 'sketch') return 'distance';
+    if (shape === 'square' || shape === 'rectangle' || shape === 'roundrect') return 'side';
+    return 'angle';
+};
+
+// Display units. Form fields and the tab/drill lists hold values in these
+// units; getParams() hands the generator millimetres.
+let units = 'mm';
+const MM_PER_INCH = 25.4;
+const unitScale = () => units === 'inch' ? MM_PER_INCH : 1;
+const unitLabel = () => units === 'inch' ? 'in' : 'mm';
+const roundLen = (v) => parseFloat(v.toFixed(units === 'inch' ? 4 : 3));
+
 // Safe DOM Helper
 const getEl = (id) => document.getElementById(id);
 const getNum = (id) => {
     const el = getEl(id);
     return el ? (parseFloat(el.value) || 0) : 0;
 };
+// Length or feed field, converted to mm (mm/min)
+const getLen = (id) => getNum(id) * unitScale();
+// "1, 2.5 4" -> [1, 2.5, 4], skipping anything that isn't a number
+const splitLengths = (text) => String(text).split(/[\s,;]+/).map(parseFloat).filter(v => !isNaN(v));
 
 function init() {
     try {
@@ -46,8 +96,12 @@ function init() {
 
         renderDimensions('square'); 
         loadToolLibrary();
+        loadFontLibrary();
+        loadMachineLibrary();
         attachListeners();
         setupTabs();
+        renderDrillPoints();
+        renderJobList();
         updateUIState();
         update(); 
     } catch (e) {
@@ -60,13 +114,36 @@ function updateUIState() {
     const opType = getEl('opType');
     const cConfig = getEl('contourConfig');
     const fConfig = getEl('facingConfig');
+    const pConfig = getEl('pocketConfig');
+    const dConfig = getEl('drillConfig');
+    const vConfig = getEl('vcarveConfig');
+    const chConfig = getEl('chamferConfig');
+    const bConfig = getEl('boreConfig');
+    const tConfig = getEl('textConfig');
+    const rConfig = getEl('rampConfig');
+    const reliefConfig = getEl('reliefConfig');
+    const toolType = getEl('toolType');
     
     if (!opType) return;
     const isFacing = opType.value === 'facing';
     const isText = opType.value === 'text';
+    const isPocket = opType.value === 'pocket';
+    const isDrill = opType.value === 'drill';
+    const isVCarve = opType.value === 'vcarve';
+    const isChamfer = opType.value === 'chamfer';
+    const isBore = opType.value === 'bore';
     
-    if (cConfig) cConfig.style.display = (isFacing || isText) ? 'none' : 'block';
+    if (cConfig) cConfig.style.display = (isFacing || isText || isPocket || isDrill || isVCarve || isChamfer || isBore) ? 'none' : 'block';
     if (fConfig) fConfig.style.display = isFacing ? 'grid' : 'none';
+    if (pConfig) pConfig.style.display = isPocket ? 'grid' : 'none';
+    if (dConfig) dConfig.style.display = isDrill ? 'block' : 'none';
+    if (vConfig) vConfig.style.display = isVCarve ? 'block' : 'none';
+    if (chConfig) chConfig.style.display = isChamfer ? 'block' : 'none';
+    if (bConfig) bConfig.style.display = isBore ? 'block' : 'none';
+    if (tConfig) tConfig.style.display = isText ? 'block' : 'none';
+    if (rConfig) rConfig.style.display = (isFacing || isPocket || isDrill || isVCarve || isChamfer || isBore) ? 'none' : 'block';
+    if (reliefConfig) reliefConfig.style.display = (isPocket || opType.value === 'contour') ? 'grid' : 'none';
+    if (toolType) getEl('vbitConfig').style.display = toolType.value === 'vbit' ? 'grid' : 'none';
     
     if (isText) {
         switchTab('view-sketch');
@@ -110,10 +187,16 @@ function renderDimensions(shape) {
     if (config) {
         config.forEach(field => {
             const div = document.createElement('div');
-            div.innerHTML = `
+            // Counts (sides, points) have no unit
+            div.innerHTML = field.count ? `
                 <label>
                     ${field.label}
-                    <input type="number" id="${field.id}" value="${field.value}" step="1">
+                    <input type="number" id="${field.id}" value="${field.value}" step="1" min="3">
+                </label>
+            ` : `
+                <label>
+                    ${field.label} (${unitLabel()})
+                    <input type="number" id="${field.id}" value="${roundLen(field.value / unitScale())}" step="${units === 'inch' ? 'any' : 1}" data-mm-step="1">
                 </label>
             `;
             container.appendChild(div);
@@ -129,13 +212,8 @@ function attachListeners() {
     if (shapeSel) {
         shapeSel.addEventListener('change', (e) => {
             const newShape = e.target.value;
-            // Clear tabs logic
-            const isRect = s => s === 'square' || s === 'rectangle';
-            if (tabs.length > 0) {
-                const hasAngle = tabs[0].angle !== undefined;
-                const newIsRect = isRect(newShape);
-                if ((hasAngle && newIsRect) || (!hasAngle && !newIsRect)) tabs = [];
-            }
+            // Clear tabs logic: tabs are stored per shape kind (angle, side or distance)
+            if (tabs.length > 0 && tabs[0][tabKind(newShape)] === undefined) tabs = [];
             renderDimensions(newShape);
             renderTabs();
             if (newShape === 'sketch') switchTab('view-sketch');
@@ -144,6 +222,7 @@ function attachListeners() {
     
     const opType = getEl('opType');
     if (opType) opType.addEventListener('change', updateUIState);
+    if (getEl('toolType')) getEl('toolType').addEventListener('change', updateUIState);
 
     // Lead Type Listener
     const leadType = getEl('leadType');
@@ -164,6 +243,70 @@ function attachListeners() {
         });
     }
 
+    const arraySel = getEl('arrayType');
+    if (arraySel) {
+        arraySel.addEventListener('change', (e) => {
+            getEl('arrayGridConfig').style.display = e.target.value === 'grid' ? 'block' : 'none';
+            getEl('arrayCircularConfig').style.display = e.target.value === 'circular' ? 'block' : 'none';
+        });
+    }
+
+    const stepDownSel = getEl('stepDownMode');
+    if (stepDownSel) {
+        stepDownSel.addEventListener('change', (e) => {
+            const listed = e.target.value === 'list';
+            getEl('stepDownList').disabled = !listed;
+            getEl('firstPassDepth').disabled = listed;
+            getEl('minFinalLayer').disabled = listed;
+        });
+    }
+
+    const finishCheck = getEl('enableFinishPass');
+    if (finishCheck) {
+        finishCheck.addEventListener('change', (e) => {
+            ['stockToLeave', 'axialStockToLeave', 'finishFeedRate', 'finishSpindleSpeed', 'finishEvery', 'springPass']
+                .forEach(id => { getEl(id).disabled = !e.target.checked; });
+        });
+    }
+
+    const scoreCheck = getEl('textScorePass');
+    if (scoreCheck) {
+        scoreCheck.addEventListener('change', (e) => {
+            getEl('textScoreDepth').disabled = !e.target.checked;
+        });
+    }
+
+    const vcarveFlatCheck = getEl('vcarveFlat');
+    if (vcarveFlatCheck) {
+        vcarveFlatCheck.addEventListener('change', (e) => {
+            getEl('vcarveFlatTool').disabled = !e.target.checked;
+        });
+    }
+
+    const pocketFinishCheck = getEl('pocketFinish');
+    if (pocketFinishCheck) {
+        pocketFinishCheck.addEventListener('change', (e) => {
+            getEl('pocketAllowance').disabled = !e.target.checked;
+        });
+    }
+
+    const reliefSel = getEl('cornerRelief');
+    if (reliefSel) {
+        reliefSel.addEventListener('change', (e) => {
+            getEl('reliefCorners').disabled = e.target.value === 'none';
+        });
+    }
+
+    const boreTypeSel = getEl('boreType');
+    if (boreTypeSel) {
+        boreTypeSel.addEventListener('change', (e) => {
+            const counterbore = e.target.value === 'counterbore';
+            getEl('boreCbDiameter').disabled = !counterbore;
+            getEl('boreCbDepth').disabled = !counterbore;
+            getEl('boreBreakthrough').disabled = e.target.value === 'blind';
+        });
+    }
+
     const rampCheck = getEl('enableRamp');
     if (rampCheck) {
         rampCheck.addEventListener('change', (e) => {
@@ -201,20 +344,34 @@ function attachListeners() {
     }
 
     if(getEl('sketchText')) getEl('sketchText').addEventListener('input', () => sketcher.draw());
+    if(getEl('sketchFont')) getEl('sketchFont').addEventListener('change', updateTextCutVisibility);
+    if(getEl('loadFontBtn')) getEl('loadFontBtn').addEventListener('click', () => getEl('fontFileInput').click());
+    if(getEl('fontFileInput')) getEl('fontFileInput').addEventListener('change', loadOutlineFontFile);
     if(getEl('sketchTextSize')) getEl('sketchTextSize').addEventListener('input', () => sketcher.draw());
+    ['sketchTextAlign', 'sketchTextVAlign', 'sketchLineSpacing', 'sketchLetterSpacing', 'sketchTextRotation', 'sketchArcRadius'].forEach(id => {
+        if (getEl(id)) getEl(id).addEventListener('input', () => sketcher.draw());
+    });
+    if(getEl('sketchTextArc')) getEl('sketchTextArc').addEventListener('change', (e) => {
+        getEl('sketchArcRadius').style.display = e.target.value === 'none' ? 'none' : '';
+        sketcher.draw();
+    });
 
     if(getEl('zoomInBtn')) getEl('zoomInBtn').addEventListener('click', () => sketcher.zoom(1.2));
     if(getEl('zoomOutBtn')) getEl('zoomOutBtn').addEventListener('click', () => sketcher.zoom(0.8));
     
+    // Grid steps: 5mm or 1/4"
     if(getEl('gridIncBtn')) getEl('gridIncBtn').addEventListener('click', () => {
-        const s = sketcher.changeGrid(5);
-        getEl('gridSizeDisplay').textContent = s + 'mm';
+        sketcher.changeGrid(units === 'inch' ? 0.25 : 5);
+        getEl('gridSizeDisplay').textContent = sketcher.getGridLabel();
     });
     if(getEl('gridDecBtn')) getEl('gridDecBtn').addEventListener('click', () => {
-        const s = sketcher.changeGrid(-5);
-        getEl('gridSizeDisplay').textContent = s + 'mm';
+        sketcher.changeGrid(units === 'inch' ? -0.25 : -5);
+        getEl('gridSizeDisplay').textContent = sketcher.getGridLabel();
     });
 
+    const unitsSel = getEl('units');
+    if (unitsSel) unitsSel.addEventListener('change', (e) => setUnits(e.target.value));
+
     // Sim Controls
     if(getEl('simStartBtn')) getEl('simStartBtn').addEventListener('click', () => simViewer.stop());
     if(getEl('simPlayBtn')) getEl('simPlayBtn').addEventListener('click', () => simViewer.play());
@@ -287,7 +444,32 @@ function attachListeners() {
     }
     
     if(getEl('addTabBtn')) getEl('addTabBtn').addEventListener('click', addTab);
+    if(getEl('distributeTabsBtn')) getEl('distributeTabsBtn').addEventListener('click', distributeTabs);
+
+    // Drill Listeners
+    const drillPattern = getEl('drillPattern');
+    if (drillPattern) {
+        drillPattern.addEventListener('change', (e) => {
+            const pattern = e.target.value;
+            getEl('drillPointsConfig').style.display = pattern === 'points' ? 'block' : 'none';
+            getEl('drillGridConfig').style.display = pattern === 'grid' ? 'grid' : 'none';
+            getEl('drillBoltConfig').style.display = pattern === 'bolt' ? 'grid' : 'none';
+            getEl('drillCenterConfig').style.display = pattern === 'points' ? 'none' : 'grid';
+        });
+    }
+    if(getEl('addDrillPointBtn')) getEl('addDrillPointBtn').addEventListener('click', () => {
+        drillPoints.push({ x: 0, y: 0 });
+        renderDrillPoints();
+    });
     
+    // Job Listeners
+    if(getEl('addJobOpBtn')) getEl('addJobOpBtn').addEventListener('click', addJobOperation);
+    if(getEl('clearJobBtn')) getEl('clearJobBtn').addEventListener('click', () => {
+        jobOperations = [];
+        renderJobList();
+        update();
+    });
+
     const dlBtn = getEl('downloadBtn');
     if(dlBtn) dlBtn.addEventListener('click', downloadGCode);
     
@@ -296,18 +478,58 @@ function attachListeners() {
     
     const savePreset = getEl('saveToolBtn');
     if(savePreset) savePreset.addEventListener('click', saveToolPreset);
+
+    // Spoilboard Surfacing Wizard
+    const surfaceDialog = getEl('surfaceDialog');
+    if (surfaceDialog) {
+        getEl('surfaceBtn').addEventListener('click', () => {
+            surfaceDialog.showModal();
+            drawSurfacingPreview();
+        });
+        getEl('surfaceMachine').addEventListener('change', loadSelectedMachine);
+        surfaceDialog.querySelectorAll('input, select').forEach(el => {
+            if (el.id !== 'surfaceMachine') el.addEventListener('input', () => drawSurfacingPreview());
+        });
+        getEl('surfaceCancelBtn').addEventListener('click', () => surfaceDialog.close());
+        getEl('surfaceGenerateBtn').addEventListener('click', () => {
+            surfacing = getSurfacingSettings();
+            surfaceDialog.close();
+            switchTab('view-combined');
+            update();
+        });
+        getEl('exitSurfacingBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            surfacing = null;
+            update();
+        });
+    }
 }
 
 function addTab() {
     const shape = getEl('shapeSelect').value;
-    if (shape === 'circle') {
+    if (tabKind(shape) === 'angle') {
         tabs.push({ angle: 0 });
+    } else if (shape === 'sketch') {
+        tabs.push({ distance: 0 });
     } else {
         tabs.push({ side: 'bottom', offset: 50 });
     }
     renderTabs();
 }
 
+// Spread N tabs evenly along the sketch outline
+function distributeTabs() {
+    const count = Math.max(1, Math.round(getNum('tabCount')) || 1);
+    generator.setParams(getParams());
+    const perimeter = polygonPerimeter(generator.getSketchContour(0));
+    if (perimeter <= 0) return;
+    tabs = [];
+    for (let i = 0; i < count; i++) {
+        tabs.push({ distance: roundLen((i + 0.5) * perimeter / count / unitScale()) });
+    }
+    renderTabs();
+}
+
 function removeTab(index) {
     tabs.splice(index, 1);
     renderTabs();
@@ -323,11 +545,9 @@ function renderTabs() {
     if (!list) return;
     list.innerHTML = '';
     const shape = getEl('shapeSelect').value;
-    
-    if (shape === 'sketch') {
-        list.innerHTML = '<small>Tabs not supported for custom sketches yet.</small>';
-        return;
-    }
+
+    const distribute = getEl('tabDistribute');
+    if (distribute) distribute.style.display = shape === 'sketch' ? 'grid' : 'none';
     
     tabs.forEach((tab, index) => {
         const row = document.createElement('div');
@@ -335,7 +555,13 @@ function renderTabs() {
         row.style.marginBottom = '0.5rem';
         row.style.alignItems = 'center';
 
-        if (shape === 'circle') {
+        if (shape === 'sketch') {
+            row.innerHTML = `
+                <label>Distance (${unitLabel()})
+                    <input type="number" value="${tab.distance}" step="1" min="0" onchange="window.updateTab(${index}, 'distance', parseFloat(this.value))">
+                </label>
+            `;
+        } else if (tabKind(shape) === 'angle') {
             row.innerHTML = `
                 <label>Angle (deg)
                     <input type="number" value="${tab.angle}" step="5" min="0" max="360" onchange="window.updateTab(${index}, 'angle', parseFloat(this.value))">
@@ -372,6 +598,243 @@ function renderTabs() {
     });
 }
 
+function updateDrillPoint(index, key, value) {
+    drillPoints[index][key] = value;
+}
+window.updateDrillPoint = updateDrillPoint;
+
+function renderDrillPoints() {
+    const list = getEl('drillPointList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    drillPoints.forEach((pt, index) => {
+        const row = document.createElement('div');
+        row.className = 'grid';
+        row.style.marginBottom = '0.5rem';
+        row.style.alignItems = 'center';
+        row.innerHTML = `
+            <label>X (${unitLabel()})
+                <input type="number" value="${pt.x}" step="1" onchange="window.updateDrillPoint(${index}, 'x', parseFloat(this.value) || 0)">
+            </label>
+            <label>Y (${unitLabel()})
+                <input type="number" value="${pt.y}" step="1" onchange="window.updateDrillPoint(${index}, 'y', parseFloat(this.value) || 0)">
+            </label>
+        `;
+
+        const delBtn = document.createElement('button');
+        delBtn.textContent = '×';
+        delBtn.className = 'outline contrast';
+        delBtn.style.width = 'auto';
+        delBtn.style.padding = '0.2rem 0.8rem';
+        delBtn.onclick = () => { drillPoints.splice(index, 1); renderDrillPoints(); };
+
+        const btnDiv = document.createElement('div');
+        btnDiv.appendChild(delBtn);
+        row.appendChild(btnDiv);
+
+        list.appendChild(row);
+    });
+}
+
+// --- Units ---
+
+// mm value as text in the display units
+function formatLen(mm) {
+    return `${roundLen(mm / unitScale())}${unitLabel()}`;
+}
+
+// Number inputs whose label carries a length or feed unit
+function lengthInputs() {
+    const inputs = [];
+    document.querySelectorAll('main label').forEach(label => {
+        if (!/\((mm|in)(\/min)?\)/.test(label.textContent)) return;
+        const input = label.querySelector('input[type="number"]');
+        if (input) inputs.push(input);
+    });
+    return inputs;
+}
+
+// Swap "(mm)" / "(in)" style unit hints in static labels
+function applyUnitLabels() {
+    const from = units === 'inch' ? 'mm' : 'in';
+    const to = unitLabel();
+    const walker = document.createTreeWalker(document.querySelector('main') || document.body, NodeFilter.SHOW_TEXT);
+    const pattern = new RegExp(`\\(${from}(/min)?\\)`, 'g');
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (pattern.test(node.nodeValue)) node.nodeValue = node.nodeValue.replace(pattern, `(${to}$1)`);
+        pattern.lastIndex = 0;
+    }
+    if (getEl('sketchTextUnit')) getEl('sketchTextUnit').textContent = to;
+    if (getEl('units')) getEl('units').value = units;
+
+    // Spinner steps like 0.5 make no sense in inches
+    lengthInputs().forEach(input => {
+        if (!input.dataset.mmStep) input.dataset.mmStep = input.getAttribute('step') || 'any';
+        input.setAttribute('step', units === 'inch' ? 'any' : input.dataset.mmStep);
+    });
+    if (sketcher) {
+        sketcher.setUnits(units);
+        if (getEl('gridSizeDisplay')) getEl('gridSizeDisplay').textContent = sketcher.getGridLabel();
+    }
+}
+
+// Switch display units, converting every length/feed value already entered
+function setUnits(newUnits) {
+    if (newUnits === units) return;
+    const factor = newUnits === 'inch' ? 1 / MM_PER_INCH : MM_PER_INCH;
+    units = newUnits;
+
+    const convert = (v) => roundLen(v * factor);
+    lengthInputs().forEach(input => {
+        if (input.value !== '') input.value = convert(parseFloat(input.value) || 0);
+    });
+    // Text toolbar lengths have no "(mm)" label
+    ['sketchTextSize', 'sketchLetterSpacing', 'sketchArcRadius'].forEach(id => {
+        const input = getEl(id);
+        if (input && input.value !== '') input.value = convert(parseFloat(input.value) || 0);
+    });
+
+    const depthList = getEl('stepDownList');
+    if (depthList && depthList.value.trim()) depthList.value = splitLengths(depthList.value).map(convert).join(', ');
+
+    tabs.forEach(tab => { if (tab.distance !== undefined) tab.distance = convert(tab.distance); });
+    drillPoints.forEach(pt => { pt.x = convert(pt.x); pt.y = convert(pt.y); });
+
+    applyUnitLabels();
+    renderTabs();
+    renderDrillPoints();
+    renderJobList();
+}
+
+// --- Job List ---
+
+const opTypeNames = { contour: 'Contour', pocket: 'Pocket', facing: 'Facing', drill: 'Drill', text: 'Text', vcarve: 'V-Carve', chamfer: 'Chamfer', bore: 'Helical Bore' };
+
+// Snapshot of every form control so an operation can be loaded back for editing
+function captureFormState() {
+    const state = {};
+    document.querySelectorAll('main input[id], main select[id]').forEach(el => {
+        state[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    return {
+        fields: state,
+        tabs: JSON.parse(JSON.stringify(tabs)),
+        drillPoints: JSON.parse(JSON.stringify(drillPoints)),
+        sketchPoints: sketcher ? JSON.parse(JSON.stringify(sketcher.getPoints())) : [],
+        textObjects: sketcher ? JSON.parse(JSON.stringify(sketcher.getTextObjects())) : []
+    };
+}
+
+function applyFormState(form) {
+    // Saved values are in the units they were entered in
+    units = form.fields.units || 'mm';
+
+    // Shape first: it rebuilds the dimension inputs
+    const shapeSel = getEl('shapeSelect');
+    if (shapeSel && form.fields.shapeSelect) {
+        shapeSel.value = form.fields.shapeSelect;
+        renderDimensions(shapeSel.value);
+    }
+
+    Object.entries(form.fields).forEach(([id, value]) => {
+        const el = getEl(id);
+        if (!el || id === 'shapeSelect') return;
+        if (el.type === 'checkbox') el.checked = value;
+        else el.value = value;
+    });
+
+    tabs = JSON.parse(JSON.stringify(form.tabs || []));
+    drillPoints = JSON.parse(JSON.stringify(form.drillPoints || []));
+    if (sketcher) sketcher.load(form.sketchPoints, form.textObjects);
+
+    // Re-run the toggles that enable/disable dependent inputs
+    ['leadType', 'enableRoughing', 'enableFinishPass', 'enableRamp', 'enableRapid', 'enableTabs', 'pocketFinish', 'cornerRelief', 'vcarveFlat', 'textScorePass', 'drillPattern', 'boreType', 'stepDownMode', 'arrayType'].forEach(id => {
+        const el = getEl(id);
+        if (el) el.dispatchEvent(new Event('change'));
+    });
+    updateUIState();
+    applyUnitLabels();
+    renderTabs();
+    renderDrillPoints();
+}
+
+function addJobOperation() {
+    const params = JSON.parse(JSON.stringify(getParams()));
+    const name = `${opTypeNames[params.opType] || params.opType} - ${params.shape}`;
+    params.name = name;
+    jobOperations.push({ name, params, form: captureFormState() });
+    renderJobList();
+    update();
+}
+
+function moveJobOperation(index, dir) {
+    const target = index + dir;
+    if (target < 0 || target >= jobOperations.length) return;
+    const [op] = jobOperations.splice(index, 1);
+    jobOperations.splice(target, 0, op);
+    renderJobList();
+    update();
+}
+
+// Overwrite an operation with the current form settings
+function saveJobOperation(index) {
+    const op = jobOperations[index];
+    const params = JSON.parse(JSON.stringify(getParams()));
+    params.name = op.name;
+    op.params = params;
+    op.form = captureFormState();
+    renderJobList();
+    update();
+}
+
+function renderJobList() {
+    const list = getEl('jobList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const hint = getEl('jobHint');
+    if (hint) {
+        hint.textContent = jobOperations.length > 0
+            ? `Output contains all ${jobOperations.length} operations. Load one to edit it, then Save.`
+            : 'Add operations to cut them in order from one file.';
+    }
+
+    jobOperations.forEach((op, index) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '0.25rem';
+        row.style.marginBottom = '0.5rem';
+
+        const label = document.createElement('small');
+        label.style.flexGrow = '1';
+        label.textContent = `${index + 1}. ${op.name} (${formatLen(op.params.toolDiameter)}, ${formatLen(op.params.targetDepth)} deep)`;
+        row.appendChild(label);
+
+        const buttons = [
+            { text: '↑', title: 'Move Up', action: () => moveJobOperation(index, -1) },
+            { text: '↓', title: 'Move Down', action: () => moveJobOperation(index, 1) },
+            { text: 'Load', title: 'Load settings into the form', action: () => { applyFormState(op.form); update(); } },
+            { text: 'Save', title: 'Save current form settings to this operation', action: () => saveJobOperation(index) },
+            { text: '×', title: 'Remove', action: () => { jobOperations.splice(index, 1); renderJobList(); update(); } }
+        ];
+        buttons.forEach(b => {
+            const btn = document.createElement('button');
+            btn.textContent = b.text;
+            btn.title = b.title;
+            btn.className = 'outline';
+            btn.style.width = 'auto';
+            btn.style.padding = '0.2rem 0.5rem';
+            btn.onclick = b.action;
+            row.appendChild(btn);
+        });
+
+        list.appendChild(row);
+    });
+}
+
 function getParams() {
     const shape = getEl('shapeSelect').value;
     const opTypeSelect = getEl('opType');
@@ -379,54 +842,148 @@ function getParams() {
     const params = {
         shape: shape,
         origin: getEl('originSelect').value,
-        toolDiameter: getNum('toolDiameter'),
+        postProcessor: getEl('postProcessor') ? getEl('postProcessor').value : 'grbl',
+        arcOutput: getEl('arcOutput') ? getEl('arcOutput').value : '',
+        units: units,
+        toolType: getEl('toolType') ? getEl('toolType').value : 'endmill',
+        toolDiameter: getLen('toolDiameter'),
+        vbitAngle: getNum('vbitAngle'),
+        vbitTip: getLen('vbitTip'),
         operation: getEl('operation').value,
+        offsetJoin: getEl('offsetJoin') ? getEl('offsetJoin').value : 'miter',
+        cutDirection: getEl('cutDirection') ? getEl('cutDirection').value : 'ccw',
         opType: opTypeSelect ? opTypeSelect.value : 'contour',
         leadType: getEl('leadType') ? getEl('leadType').value : 'none',
-        leadInLen: getNum('leadInLen'),
-        leadOutLen: getNum('leadOutLen'),
+        leadInLen: getLen('leadInLen'),
+        leadOutLen: getLen('leadOutLen'),
         enableRoughing: getEl('enableRoughing') ? getEl('enableRoughing').checked : false,
-        roughingStepover: getNum('roughingStepover'),
+        roughingStepover: getLen('roughingStepover'),
         roughingPasses: getNum('roughingPasses'),
+        enableFinishPass: getEl('enableFinishPass') ? getEl('enableFinishPass').checked : false,
+        stockToLeave: getLen('stockToLeave'),
+        axialStockToLeave: getLen('axialStockToLeave'),
+        finishFeedRate: getLen('finishFeedRate'),
+        finishSpindleSpeed: getNum('finishSpindleSpeed'),
+        finishEvery: getNum('finishEvery'),
+        springPass: getEl('springPass') ? getEl('springPass').checked : false,
         enableRamp: getEl('enableRamp') ? getEl('enableRamp').checked : false,
         rampAngle: getNum('rampAngle'),
-        rampMaxStep: getNum('rampMaxStep'),
-        rampClearance: getNum('rampClearance'),
+        rampMaxStep: getLen('rampMaxStep'),
+        rampClearance: getLen('rampClearance'),
+        pocketStrategy: getEl('pocketStrategy') ? getEl('pocketStrategy').value : 'offset',
+        pocketDirection: getEl('pocketDirection') ? getEl('pocketDirection').value : 'climb',
+        pocketStepover: getLen('pocketStepover'),
+        pocketFinish: getEl('pocketFinish') ? getEl('pocketFinish').checked : false,
+        pocketAllowance: getLen('pocketAllowance'),
+        cornerRelief: getEl('cornerRelief') ? getEl('cornerRelief').value : 'none',
+        reliefCorners: getEl('reliefCorners') ? getEl('reliefCorners').value : '',
+        drillPattern: getEl('drillPattern') ? getEl('drillPattern').value : 'points',
+        drillCycle: getEl('drillCycle') ? getEl('drillCycle').value : 'expanded',
+        drillPoints: drillPoints.map(pt => ({ x: pt.x * unitScale(), y: pt.y * unitScale() })),
+        drillRows: getNum('drillRows'),
+        drillCols: getNum('drillCols'),
+        drillSpacingX: getLen('drillSpacingX'),
+        drillSpacingY: getLen('drillSpacingY'),
+        drillCount: getNum('drillCount'),
+        drillBoltDiameter: getLen('drillBoltDiameter'),
+        drillStartAngle: getNum('drillStartAngle'),
+        drillCenterX: getLen('drillCenterX'),
+        drillCenterY: getLen('drillCenterY'),
+        drillPeck: getLen('drillPeck'),
+        drillDwell: getNum('drillDwell'),
+        drillRetract: getLen('drillRetract'),
+        textScorePass: getEl('textScorePass') ? getEl('textScorePass').checked : false,
+        textScoreDepth: getLen('textScoreDepth'),
+        textOptimize: getEl('textOptimize') ? getEl('textOptimize').checked : false,
+        textClearance: getLen('textClearance'),
+        chamferSide: getEl('chamferSide') ? getEl('chamferSide').value : 'outside',
+        chamferWidth: getLen('chamferWidth'),
+        chamferTipOffset: getLen('chamferTipOffset'),
+        boreType: getEl('boreType') ? getEl('boreType').value : 'through',
+        borePitch: getLen('borePitch'),
+        boreStepover: getLen('boreStepover'),
+        boreBreakthrough: getLen('boreBreakthrough'),
+        boreCbDiameter: getLen('boreCbDiameter'),
+        boreCbDepth: getLen('boreCbDepth'),
+        vcarveMaxDepth: getLen('vcarveMaxDepth'),
+        vcarveFlat: getEl('vcarveFlat') ? getEl('vcarveFlat').checked : false,
+        vcarveFlatTool: getLen('vcarveFlatTool'),
+        facingPattern: getEl('facingPattern') ? getEl('facingPattern').value : 'raster',
         facingDirection: getEl('facingDirection') ? getEl('facingDirection').value : 'both',
-        stepover: getNum('stepover'),
-        passExtX: getNum('passExtX'),
-        passExtY: getNum('passExtY'),
-        targetDepth: getNum('targetDepth'),
-        passDepth: getNum('passDepth'),
-        safeZ: getNum('safeZ'),
+        stepover: getLen('stepover'),
+        passExtX: getLen('passExtX'),
+        passExtY: getLen('passExtY'),
+        targetDepth: getLen('targetDepth'),
+        passDepth: getLen('passDepth'),
+        stepDownMode: getEl('stepDownMode') ? getEl('stepDownMode').value : 'constant',
+        stepDownList: getEl('stepDownList') ? splitLengths(getEl('stepDownList').value).map(v => v * unitScale()).join(', ') : '',
+        firstPassDepth: getLen('firstPassDepth'),
+        minFinalLayer: getLen('minFinalLayer'),
+        arrayType: getEl('arrayType') ? getEl('arrayType').value : 'none',
+        arrayRows: getNum('arrayRows'),
+        arrayCols: getNum('arrayCols'),
+        arrayPitchX: getLen('arrayPitchX'),
+        arrayPitchY: getLen('arrayPitchY'),
+        arrayCount: getNum('arrayCount'),
+        arrayRadius: getLen('arrayRadius'),
+        arrayStartAngle: getNum('arrayStartAngle'),
+        safeZ: getLen('safeZ'),
         spindleSpeed: getNum('spindleSpeed'),
-        feedRate: getNum('feedRate'),
-        plungeRate: getNum('plungeRate'),
+        feedRate: getLen('feedRate'),
+        plungeRate: getLen('plungeRate'),
         enableRapid: getEl('enableRapid').checked,
-        rapidXY: getNum('rapidXY'),
-        rapidZ: getNum('rapidZ'),
-        stockThickness: getNum('stockThickness'),
+        rapidXY: getLen('rapidXY'),
+        rapidZ: getLen('rapidZ'),
+        stockThickness: getLen('stockThickness'),
+        stockMaterial: getEl('stockMaterial') ? getEl('stockMaterial').value : 'wood',
         enableTabs: getEl('enableTabs').checked,
-        tabWidth: getNum('tabWidth'),
-        tabThickness: getNum('tabThickness'),
-        tabs: [...tabs],
+        tabWidth: getLen('tabWidth'),
+        tabThickness: getLen('tabThickness'),
+        tabs: tabs.map(tab => tab.distance !== undefined ? { ...tab, distance: tab.distance * unitScale() } : { ...tab }),
         sketchPoints: sketcher ? sketcher.getPoints() : [],
         textObjects: sketcher ? sketcher.getTextObjects() : []
     };
 
     if (shape === 'square') {
-        params.width = getNum('width');
+        params.width = getLen('width');
         params.shapeWidth = params.width;
         params.shapeHeight = params.width;
     } else if (shape === 'rectangle') {
-        params.width = getNum('width');
-        params.height = getNum('height');
+        params.width = getLen('width');
+        params.height = getLen('height');
         params.shapeWidth = params.width;
         params.shapeHeight = params.height;
     } else if (shape === 'circle') {
-        params.diameter = getNum('diameter');
+        params.diameter = getLen('diameter');
         params.shapeWidth = params.diameter;
         params.shapeHeight = params.diameter;
+    } else if (shape === 'roundrect' || shape === 'ellipse') {
+        params.width = getLen('width');
+        params.height = getLen('height');
+        if (shape === 'roundrect') params.cornerRadius = Math.min(getLen('cornerRadius'), params.width / 2, params.height / 2);
+        params.shapeWidth = params.width;
+        params.shapeHeight = params.height;
+    } else if (shape === 'slot') {
+        params.slotWidth = getLen('slotWidth');
+        params.slotLength = Math.max(getLen('slotLength'), params.slotWidth);
+        params.shapeWidth = params.slotLength;
+        params.shapeHeight = params.slotWidth;
+    } else if (shape === 'polygon' || shape === 'star') {
+        params.diameter = getLen('diameter');
+        let outline;
+        if (shape === 'polygon') {
+            params.polygonSides = Math.max(3, Math.round(getNum('polygonSides')));
+            outline = regularPolygon(params.polygonSides, params.diameter / 2);
+        } else {
+            params.starPoints = Math.max(3, Math.round(getNum('starPoints')));
+            params.innerDiameter = getLen('innerDiameter');
+            outline = starPolygon(params.starPoints, params.diameter / 2, params.innerDiameter / 2);
+        }
+        // Stock and shape origins use the bounding box
+        const xs = outline.map(p => p.x);
+        const ys = outline.map(p => p.y);
+        params.shapeWidth = Math.max(...xs) - Math.min(...xs);
+        params.shapeHeight = Math.max(...ys) - Math.min(...ys);
     } else if (shape === 'sketch') {
         if (params.sketchPoints.length > 0) {
             const xs = params.sketchPoints.map(p => p.x);
@@ -441,21 +998,53 @@ function getParams() {
         }
     }
 
-    const userStockW = getNum('stockWidth');
-    const userStockH = getNum('stockHeight');
+    const userStockW = getLen('stockWidth');
+    const userStockH = getLen('stockHeight');
     params.stockWidth = userStockW > 0 ? userStockW : params.shapeWidth;
     params.stockHeight = userStockH > 0 ? userStockH : params.shapeHeight;
 
+    // Auto stock covers every copy of an array
+    const copies = generator.getArrayOffsets(params);
+    if (copies.length > 1) {
+        const xs = copies.map(c => c.x);
+        const ys = copies.map(c => c.y);
+        if (!(userStockW > 0)) params.stockWidth += 2 * Math.max(...xs.map(Math.abs));
+        if (!(userStockH > 0)) params.stockHeight += 2 * Math.max(...ys.map(Math.abs));
+    }
+
     return params;
 }
 
 function update() {
     try {
         const params = getParams();
-        generator.setParams(params);
         
-        const code = generator.generate();
+        generator.setPostProcessor(params.postProcessor, { arcs: params.arcOutput, units: params.units });
+        const dlBtn = getEl('downloadBtn');
+        if (dlBtn) dlBtn.textContent = `Download .${generator.post.extension}`;
+
+        // A job list replaces the single operation output, and the
+        // surfacing program replaces both until it is dismissed
+        let code;
+        if (surfacing) {
+            generator.setParams(params);
+            code = generator.generateSurfacing(surfacing);
+        } else if (jobOperations.length > 0) {
+            code = generator.generateJob(jobOperations.map(op => op.params));
+        } else {
+            generator.setParams(params);
+            code = generator.generate();
+        }
+        // Previews follow the settings currently in the form
+        generator.setParams(params);
         getEl('gcodeOutput').value = code;
+
+        // Things the generator had to leave out (e.g. characters without a glyph)
+        const warnEl = getEl('genWarnings');
+        if (warnEl) {
+            warnEl.textContent = generator.warnings.join(' | ');
+            warnEl.hidden = generator.warnings.length === 0;
+        }
         
         // Calculate Line Offsets for Highlighting
         lineOffsets = [];
@@ -475,15 +1064,25 @@ function update() {
             togBtn.classList.add('outline');
         }
 
-        drawPreview(params);
+        if (getEl('surfacingNote')) getEl('surfacingNote').hidden = !surfacing;
+
+        // The surfacing program is simulated on a stock the size of the bed
+        const viewParams = surfacing ? getSurfacingViewParams(params, surfacing) : params;
+        if (surfacing) drawSurfacingPreview(getEl('previewCanvas'), surfacing);
+        else drawPreview(params);
     // Draw 3D
-    if (staticViewer) staticViewer.update(code, params);
+    if (staticViewer) staticViewer.update(code, viewParams);
     if (simViewer) {
-        const stats = simViewer.update(code, params);
+        const stats = simViewer.update(code, viewParams);
         if (stats) {
             getEl('estTotalTime').textContent = formatTime(stats.totalTime);
             getEl('estPassTime').textContent = formatTime(stats.avgPassTime);
         }
+        const saved = generator.stats.textTimeSaved;
+        if (getEl('estSavedRow')) {
+            getEl('estSavedRow').hidden = !(saved > 0);
+            getEl('estSavedTime').textContent = formatTime(saved);
+        }
     }
     } catch (e) {
         console.error("Update failed:", e);
@@ -522,6 +1121,114 @@ function formatTime(minutes) {
     return `${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
 }
 
+// --- Spoilboard Surfacing ---
+
+function getSurfacingSettings() {
+    return {
+        machine: {
+            name: getEl('surfaceMachine').selectedOptions[0]?.textContent || 'Custom',
+            travelX: getLen('surfaceTravelX'),
+            travelY: getLen('surfaceTravelY'),
+            homeCorner: getEl('surfaceHome').value
+        },
+        toolDiameter: getLen('surfaceToolDiameter'),
+        overlap: getNum('surfaceOverlap'),
+        depth: getLen('surfaceDepth'),
+        passDepth: getLen('surfacePassDepth'),
+        margin: getLen('surfaceMargin')
+    };
+}
+
+// Stock = the bed, with the job origin on the home corner
+function getSurfacingViewParams(params, surface) {
+    const corner = surface.machine.homeCorner.replace('front', 'bottom').replace('back', 'top');
+    return {
+        ...params,
+        stockWidth: surface.machine.travelX,
+        stockHeight: surface.machine.travelY,
+        origin: `stock-${corner}`,
+        toolType: 'endmill',
+        toolDiameter: surface.toolDiameter,
+        targetDepth: surface.depth
+    };
+}
+
+/**
+ * Top view of the bed: travel limits, home corner, the area the bit
+ * will cover and the rows it cuts. The dialog shows it before anything
+ * is generated; the 2D preview shows it while the program is displayed.
+ */
+function drawSurfacingPreview(canvas = getEl('surfaceCanvas'), surface = getSurfacingSettings()) {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const m = surface.machine;
+    const plan = generator.getSurfacingPlan(surface);
+    const summary = canvas.id === 'surfaceCanvas' ? getEl('surfaceSummary') : null;
+    const len = (v) => `${roundLen(v / unitScale())}${unitLabel()}`;
+    if (!(m.travelX > 0) || !(m.travelY > 0) || !plan) {
+        if (summary) summary.textContent = 'Nothing to cut: check the travel, bit and edge clearance.';
+        return;
+    }
+
+    const pad = 20;
+    const scale = Math.min((canvas.width - 2 * pad) / m.travelX, (canvas.height - 2 * pad) / m.travelY);
+    const ox = (canvas.width - m.travelX * scale) / 2;
+    const oy = (canvas.height + m.travelY * scale) / 2;
+    // Plan coordinates are signed distances from home; front of the bed at the bottom
+    const toCanvas = (x, y) => ({
+        x: ox + (plan.sx > 0 ? Math.abs(x) : m.travelX - Math.abs(x)) * scale,
+        y: oy - (plan.sy > 0 ? Math.abs(y) : m.travelY - Math.abs(y)) * scale
+    });
+
+    // Bed travel
+    ctx.fillStyle = '#f0f0f0';
+    ctx.strokeStyle = '#999';
+    ctx.setLineDash([5, 5]);
+    ctx.fillRect(ox, oy - m.travelY * scale, m.travelX * scale, m.travelY * scale);
+    ctx.strokeRect(ox, oy - m.travelY * scale, m.travelX * scale, m.travelY * scale);
+    ctx.setLineDash([]);
+
+    // Covered area
+    const c = plan.covered;
+    const a = toCanvas(c.x0, c.y0), b = toCanvas(c.x1, c.y1);
+    ctx.fillStyle = 'rgba(0, 123, 255, 0.25)';
+    ctx.fillRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+
+    // Bit centre rows
+    ctx.strokeStyle = 'rgba(0, 80, 200, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    plan.rows.forEach((y, i) => {
+        const from = toCanvas(i % 2 === 0 ? plan.x0 : plan.x1, y);
+        const to = toCanvas(i % 2 === 0 ? plan.x1 : plan.x0, y);
+        if (i === 0) ctx.moveTo(from.x, from.y);
+        else ctx.lineTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+    });
+    ctx.stroke();
+
+    // Home
+    const home = toCanvas(0, 0);
+    ctx.fillStyle = '#ff0000';
+    ctx.beginPath();
+    ctx.arc(home.x, home.y, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = plan.sx > 0 ? 'left' : 'right';
+    ctx.fillText('Home', home.x + plan.sx * 8, home.y + (plan.sy > 0 ? -8 : 16));
+
+    if (summary) {
+        const feed = getLen('feedRate');
+        const perPass = plan.rows.length * Math.abs(plan.x1 - plan.x0) + (plan.rows.length - 1) * plan.stepover;
+        const minutes = feed > 0 ? perPass * plan.levels.length / feed : 0;
+        summary.textContent = `Covers ${len(c.x1 - c.x0)} x ${len(c.y1 - c.y0)} of ${len(m.travelX)} x ${len(m.travelY)} | ` +
+            `${plan.rows.length} rows, ${len(plan.stepover)} apart | ${plan.levels.length} pass(es) | ~${formatTime(minutes)} cutting`;
+    }
+}
+
 function drawPreview(params) {
     const canvas = getEl('previewCanvas');
     if (!canvas) return;
@@ -565,7 +1272,9 @@ function drawPreview(params) {
     ctx.strokeStyle = '#00ff00'; ctx.beginPath(); ctx.moveTo(axisX, 0); ctx.lineTo(axisX, canvas.height); ctx.stroke();
     ctx.fillStyle = '#000'; ctx.beginPath(); ctx.arc(axisX, axisY, 4, 0, Math.PI * 2); ctx.fill();
 
-    // Shape
+    // Shape (faint when it is only the template for an array)
+    const copies = generator.getArrayOffsets(params);
+    ctx.globalAlpha = copies.length > 1 ? 0.25 : 1;
     if (params.shape === 'sketch' && params.sketchPoints.length > 0) {
         ctx.strokeStyle = '#000'; ctx.lineWidth = 2; ctx.beginPath();
         params.sketchPoints.forEach((p, i) => {
@@ -574,6 +1283,13 @@ function drawPreview(params) {
             if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
         });
         ctx.closePath(); ctx.stroke();
+    } else if (parametricShapes.includes(params.shape)) {
+        // Same outline the generator offsets
+        ctx.strokeStyle = '#000'; ctx.lineWidth = 2; ctx.beginPath();
+        generator.getShapeOutline(params.shape).forEach((p, i) => {
+            if (i === 0) ctx.moveTo(cx + p.x * scale, cy - p.y * scale); else ctx.lineTo(cx + p.x * scale, cy - p.y * scale);
+        });
+        ctx.closePath(); ctx.stroke();
     } else if (params.shape !== 'sketch') {
         let w=params.width, h=params.height, r=params.diameter/2;
         if(params.shape==='square') h=w;
@@ -584,9 +1300,60 @@ function drawPreview(params) {
         else ctx.rect(cx - (w/2 * scale), cy - (h/2 * scale), w * scale, h * scale);
         ctx.stroke();
     }
+    ctx.globalAlpha = 1;
+
+    // Array copies, numbered in cutting order; red ones run off the stock
+    if (copies.length > 1) {
+        const overruns = new Set(generator.getArrayOverruns(params));
+        const outline = generator.getShapeOutline(params.shape);
+        const ox = params.shape === 'sketch' ? axisX : cx;
+        const oy = params.shape === 'sketch' ? axisY : cy;
+        const box = generator.getPartBounds({ ...params, opType: 'none' });
+        const mid = { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+        ctx.lineWidth = 2; ctx.font = '11px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        copies.forEach((off, i) => {
+            const colour = overruns.has(i + 1) ? '#dc3545' : '#000';
+            ctx.strokeStyle = colour; ctx.beginPath();
+            outline.forEach((pt, k) => {
+                const px = ox + (pt.x + off.x) * scale;
+                const py = oy - (pt.y + off.y) * scale;
+                if (k === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.closePath(); ctx.stroke();
+            ctx.fillStyle = colour;
+            ctx.fillText(String(i + 1), ox + (mid.x + off.x) * scale, oy - (mid.y + off.y) * scale);
+        });
+    }
+
+    // Drill Holes
+    if (params.opType === 'drill') {
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.5)'; ctx.strokeStyle = '#007bff'; ctx.lineWidth = 1;
+        const hr = Math.max(2, (params.toolDiameter / 2) * scale);
+        generator.getDrillHoles().forEach(h => {
+            ctx.beginPath(); ctx.arc(cx + h.x * scale, cy - h.y * scale, hr, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        });
+    }
 
     // Tabs
-    if (params.enableTabs && params.tabs.length > 0 && params.shape !== 'sketch') {
+    if (params.enableTabs && params.tabs.length > 0 && params.shape === 'sketch') {
+        // Distances along the outline, from the first sketched point
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.7)'; ctx.strokeStyle = '#cca300';
+        const tW = params.tabWidth * scale;
+        const outline = generator.getSketchContour(0);
+        params.tabs.forEach(tab => {
+            if (outline.length < 2 || tab.distance === undefined) return;
+            const pt = pointAlongPolygon(outline, tab.distance);
+            const tx = axisX + (pt.x * scale), ty = axisY - (pt.y * scale);
+            ctx.fillRect(tx - tW/2, ty - tW/2, tW, tW); ctx.strokeRect(tx - tW/2, ty - tW/2, tW, tW);
+        });
+    } else if (params.enableTabs && params.tabs.length > 0 && parametricShapes.includes(params.shape)) {
+        ctx.fillStyle = 'rgba(255, 255, 0, 0.7)'; ctx.strokeStyle = '#cca300';
+        const tW = params.tabWidth * scale;
+        generator.getTabPoints(params.shape).forEach(pt => {
+            const tx = cx + pt.x * scale, ty = cy - pt.y * scale;
+            ctx.fillRect(tx - tW/2, ty - tW/2, tW, tW); ctx.strokeRect(tx - tW/2, ty - tW/2, tW, tW);
+        });
+    } else if (params.enableTabs && params.tabs.length > 0) {
         ctx.fillStyle = 'rgba(255, 255, 0, 0.7)'; ctx.strokeStyle = '#cca300';
         const tW = params.tabWidth * scale;
         let w=params.width, h=params.height, r=params.diameter/2;
@@ -608,6 +1375,37 @@ function drawPreview(params) {
             }
         });
     }
+
+    // Corner Relief: the tool at each overcut, and corner numbers to pick from
+    const relieved = params.opType === 'pocket' || (params.opType === 'contour' && params.operation === 'inside');
+    if (relieved && params.cornerRelief && params.cornerRelief !== 'none' && params.shape !== 'circle') {
+        // Sketches are drawn from the origin, the other shapes from the centre
+        const ox = params.shape === 'sketch' ? axisX : cx;
+        const oy = params.shape === 'sketch' ? axisY : cy;
+        const tr = Math.max(2, (params.toolDiameter / 2) * scale);
+        ctx.fillStyle = 'rgba(220, 53, 69, 0.35)'; ctx.strokeStyle = '#dc3545'; ctx.lineWidth = 1;
+        generator.getCornerReliefs(params.shape).forEach(rl => {
+            ctx.beginPath(); ctx.arc(ox + rl.to.x * scale, oy - rl.to.y * scale, tr, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        });
+
+        const outline = generator.getShapeOutline(params.shape);
+        const mid = outline.reduce((m, pt) => ({ x: m.x + pt.x / outline.length, y: m.y + pt.y / outline.length }), { x: 0, y: 0 });
+        ctx.fillStyle = '#dc3545'; ctx.font = '11px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        outline.forEach((pt, k) => {
+            // Only corners, not the points along curves
+            const prev = outline[(k + outline.length - 1) % outline.length];
+            const next = outline[(k + 1) % outline.length];
+            const a = Math.atan2(pt.y - prev.y, pt.x - prev.x);
+            const b = Math.atan2(next.y - pt.y, next.x - pt.x);
+            const turn = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+            if (turn < 5 * Math.PI / 180) return;
+            const d = Math.hypot(pt.x - mid.x, pt.y - mid.y) || 1;
+            const lx = ox + pt.x * scale + (pt.x - mid.x) / d * 10;
+            const ly = oy - pt.y * scale - (pt.y - mid.y) / d * 10;
+            ctx.fillText(String(k + 1), lx, ly);
+        });
+        ctx.textAlign = 'start'; ctx.textBaseline = 'alphabetic';
+    }
 }
 
 function downloadGCode() {
@@ -615,7 +1413,7 @@ function downloadGCode() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `opengcode-${Date.now()}.gcode`;
+    a.download = `opengcode-${Date.now()}.${generator.post.extension}`;
     a.click();
     URL.revokeObjectURL(url);
 }
@@ -636,6 +1434,96 @@ async function loadToolLibrary() {
     } catch (e) { console.warn(e); }
 }
 
+async function loadFontLibrary() {
+    try {
+        const response = await fetch('font-library/index.json');
+        if (!response.ok) return;
+        const fonts = await response.json();
+        const select = getEl('sketchFont');
+        for (const entry of fonts) {
+            const fontResponse = await fetch(`font-library/${entry.file}`);
+            if (!fontResponse.ok) continue;
+            const text = await fontResponse.text();
+            const font = entry.file.toLowerCase().endsWith('.svg')
+                ? parseSVGFont(text, entry.name)
+                : parseJHF(text, entry.name, entry.firstChar);
+            registerFont(entry.file, font);
+
+            if (select) {
+                const option = document.createElement('option');
+                option.value = entry.file;
+                option.textContent = entry.name;
+                select.appendChild(option);
+            }
+        }
+        // Text placed before the fonts arrived can now use them
+        update();
+    } catch (e) { console.warn(e); }
+}
+
+// Outline (TTF/OTF) fonts come from the user's disk; they last for the session
+async function loadOutlineFontFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+        const name = file.name.replace(/\.(ttf|otf)$/i, '');
+        const id = `file:${file.name}`;
+        registerFont(id, parseOutlineFont(await file.arrayBuffer(), name));
+
+        const select = getEl('sketchFont');
+        if (![...select.options].some(o => o.value === id)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${name} (outline)`;
+            select.appendChild(option);
+        }
+        select.value = id;
+        updateTextCutVisibility();
+        update();
+    } catch (err) {
+        alert(`Could not load font: ${err.message}`);
+    }
+}
+
+// Outline/Pocket only applies to outline fonts
+function updateTextCutVisibility() {
+    const font = getFont(getEl('sketchFont').value);
+    getEl('sketchTextCut').style.display = font && font.outline ? '' : 'none';
+}
+
+async function loadMachineLibrary() {
+    try {
+        const response = await fetch('machine-library/index.json');
+        if (!response.ok) return;
+        const machines = await response.json();
+        const select = getEl('surfaceMachine');
+        if (!select) return;
+        machines.forEach(machine => {
+            const option = document.createElement('option');
+            option.value = machine.file;
+            option.textContent = machine.name;
+            select.appendChild(option);
+        });
+        loadSelectedMachine();
+    } catch (e) { console.warn(e); }
+}
+
+async function loadSelectedMachine() {
+    const filename = getEl('surfaceMachine').value;
+    if (!filename) return;
+    try {
+        const response = await fetch(`machine-library/${filename}`);
+        if (!response.ok) throw new Error('Failed');
+        const data = await response.json();
+        const toDisplay = (v) => roundLen(v * (data.units === 'inch' ? MM_PER_INCH : 1) / unitScale());
+        getEl('surfaceTravelX').value = toDisplay(data.travelX);
+        getEl('surfaceTravelY').value = toDisplay(data.travelY);
+        getEl('surfaceHome').value = data.homeCorner || 'front-left';
+        drawSurfacingPreview();
+    } catch (e) { alert('Error loading machine profile.'); }
+}
+
 async function loadSelectedTool(e) {
     const filename = e.target.value;
     if (!filename) return;
@@ -643,23 +1531,36 @@ async function loadSelectedTool(e) {
         const response = await fetch(`tool-library/${filename}`);
         if (!response.ok) throw new Error('Failed');
         const data = await response.json();
-        if (data.toolDiameter) getEl('toolDiameter').value = data.toolDiameter;
-        if (data.feedRate) getEl('feedRate').value = data.feedRate;
+        // Presets without a "units" field are metric
+        const toDisplay = (v) => roundLen(v * (data.units === 'inch' ? MM_PER_INCH : 1) / unitScale());
+        if (data.toolDiameter) getEl('toolDiameter').value = toDisplay(data.toolDiameter);
+        // Presets from before tool types are end mills
+        getEl('toolType').value = data.toolType || 'endmill';
+        if (data.vbitAngle) getEl('vbitAngle').value = data.vbitAngle;
+        if (data.vbitTip !== undefined) getEl('vbitTip').value = toDisplay(data.vbitTip);
+        updateUIState();
+        if (data.feedRate) getEl('feedRate').value = toDisplay(data.feedRate);
         if (data.spindleSpeed) getEl('spindleSpeed').value = data.spindleSpeed;
-        if (data.passDepth) getEl('passDepth').value = data.passDepth;
-        if (data.safeZ) getEl('safeZ').value = data.safeZ;
+        if (data.passDepth) getEl('passDepth').value = toDisplay(data.passDepth);
+        if (data.safeZ) getEl('safeZ').value = toDisplay(data.safeZ);
     } catch (e) { alert('Error loading tool.'); }
 }
 
 function saveToolPreset() {
-    const params = getParams();
+    // Saved in the current display units, tagged so loading can convert
     const toolData = {
-        toolDiameter: params.toolDiameter,
-        feedRate: params.feedRate,
-        spindleSpeed: params.spindleSpeed,
-        passDepth: params.passDepth,
-        safeZ: params.safeZ
+        units: units,
+        toolType: getEl('toolType').value,
+        toolDiameter: getNum('toolDiameter'),
+        feedRate: getNum('feedRate'),
+        spindleSpeed: getNum('spindleSpeed'),
+        passDepth: getNum('passDepth'),
+        safeZ: getNum('safeZ')
     };
+    if (toolData.toolType === 'vbit') {
+        toolData.vbitAngle = getNum('vbitAngle');
+        toolData.vbitTip = getNum('vbitTip');
+    }
     const json = JSON.stringify(toolData, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
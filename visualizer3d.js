@@ -231,6 +231,10 @@ export class GCodeViewer {
         
         // Tool Props
         const toolR = (this.simParams.toolDiameter || 3.175) / 2;
+        // V-bits cut a cone: the surface rises by 1/slope per mm away from the tip
+        const isVBit = this.simParams.toolType === 'vbit';
+        const tipR = isVBit ? (this.simParams.vbitTip || 0) / 2 : 0;
+        const slope = isVBit ? Math.tan((this.simParams.vbitAngle || 60) / 2 * Math.PI / 180) : 0;
         
         // Tool Pos is World. Convert to Local.
         const localX = toolPos.x - this.solidStockMesh.position.x;
@@ -283,14 +287,17 @@ export class GCodeViewer {
                 
                 if (distSq < toolR * toolR) {
                     // Inside Tool
+                    let cutZ = localToolZ;
+                    if (isVBit) cutZ += Math.max(0, Math.sqrt(distSq) - tipR) / slope;
+
                     // If Tool is lower than Vertex, Push Vertex Down
-                    if (localToolZ < vz) {
-                        positions.setZ(index, localToolZ);
+                    if (cutZ < vz) {
+                        positions.setZ(index, cutZ);
                         
                         // Darken color based on depth
-                        // Depth relative to top (0). localToolZ is negative.
+                        // Depth relative to top (0). cutZ is negative.
                         // Map -10mm to 0.2 brightness, 0mm to 0.9 brightness
-                        const depth = Math.abs(localToolZ);
+                        const depth = Math.abs(cutZ);
                         const darkness = Math.max(0.2, 0.9 - (depth * 0.1));
                         
                         colors.setXYZ(index, darkness, darkness, darkness);
@@ -345,24 +352,57 @@ export class GCodeViewer {
             this.toolpathGroup.add(new THREE.Line(geo, mat));
         };
 
-        lines.forEach((lineRaw, lineIdx) => {
-            let line = lineRaw.trim().toUpperCase().split(';')[0];
+        // Active canned drilling cycle (G81/G82/G83), expanded into plain moves
+        let canned = null;
+
+        // G20 programs are scaled to mm so the scene matches the stock
+        let unitScale = 1;
+
+        const handleLine = (lineRaw, lineIdx) => {
+            // Strip comments (';' and '( )' styles) and line numbers
+            let line = lineRaw.trim().toUpperCase().split(';')[0]
+                .replace(/\([^)]*\)/g, '')
+                .replace(/^N\d+\s*/, '')
+                .trim();
             if (!line) return;
 
+            if (/^G2[01]\b/.test(line)) { unitScale = line.startsWith('G20') ? 25.4 : 1; return; }
+            if (line.startsWith('G80')) { canned = null; return; }
+            const isCycle = /^G8[123]\b/.test(line);
+            if (isCycle || (canned && /^[XY]/.test(line))) {
+                const word = (c) => {
+                    const m = line.match(new RegExp(c + '([-0-9.]+)'));
+                    return m ? parseFloat(m[1]) : null;
+                };
+                if (isCycle) {
+                    // G98: Return to the Z we started the cycle from
+                    canned = { z: word('Z'), r: word('R'), initZ: (cur.z - this.zOffset) / unitScale };
+                }
+                // Expanded moves are re-parsed, so keep them in program units
+                const x = word('X') !== null ? word('X') : cur.x / unitScale;
+                const y = word('Y') !== null ? word('Y') : cur.y / unitScale;
+                handleLine(`G0 X${x} Y${y}`, lineIdx);
+                handleLine(`G0 Z${canned.r}`, lineIdx);
+                handleLine(`G1 Z${canned.z}`, lineIdx);
+                handleLine(`G0 Z${Math.max(canned.initZ, canned.r)}`, lineIdx);
+                return;
+            }
+
             let isMove = false;
             let newType = currentType;
             let isArc = false;
             let arcDir = 0;
 
-            if (line.startsWith('G0') || line.startsWith('G00')) { newType = 'G0'; isMove = true; }
-            else if (line.startsWith('G1') || line.startsWith('G01')) { newType = 'G1'; isMove = true; }
-            else if (line.startsWith('G2') || line.startsWith('G02')) { newType = 'G1'; isMove = true; isArc = true; arcDir = 2; }
-            else if (line.startsWith('G3') || line.startsWith('G03')) { newType = 'G1'; isMove = true; isArc = true; arcDir = 3; }
+            // Whole G-words only: G10, G17, G28 etc. are not motion
+            if (/^G0?0(?![\d.])/.test(line)) { newType = 'G0'; isMove = true; }
+            else if (/^G0?1(?![\d.])/.test(line)) { newType = 'G1'; isMove = true; }
+            else if (/^G0?2(?![\d.])/.test(line)) { newType = 'G1'; isMove = true; isArc = true; arcDir = 2; }
+            else if (/^G0?3(?![\d.])/.test(line)) { newType = 'G1'; isMove = true; isArc = true; arcDir = 3; }
 
             if (isMove) {
                 const getVal = (c) => {
                     const m = line.match(new RegExp(c + '([-0-9.]+)'));
-                    return m ? parseFloat(m[1]) : null;
+                    return m ? parseFloat(m[1]) * unitScale : null;
                 };
                 
                 // Update Feed
@@ -389,7 +429,20 @@ export class GCodeViewer {
                 let moveTime = 0;
                 
                 if (isArc) {
-                    const i = getVal('I') || 0; const j = getVal('J') || 0;
+                    let i = getVal('I') || 0; let j = getVal('J') || 0;
+                    const rWord = getVal('R');
+                    if (rWord !== null) {
+                        // R-form: centre on the perpendicular bisector of the chord,
+                        // on the side given by direction and the sign of R
+                        const dx = tx - cur.x, dy = ty - cur.y;
+                        const chord = Math.hypot(dx, dy);
+                        if (chord > 0) {
+                            const h = Math.sqrt(Math.max(0, rWord * rWord - (chord / 2) * (chord / 2)));
+                            const side = (arcDir === 3 ? 1 : -1) * (rWord < 0 ? -1 : 1);
+                            i = dx / 2 - side * h * dy / chord;
+                            j = dy / 2 + side * h * dx / chord;
+                        }
+                    }
                     const cx = cur.x + i; const cy = cur.y + j;
                     const r = Math.sqrt(i*i + j*j);
                     const startA = Math.atan2(cur.y - cy, cur.x - cx);
@@ -451,7 +504,8 @@ export class GCodeViewer {
                 
                 cur.set(tx, ty, tz);
             }
-        });
+        };
+        lines.forEach(handleLine);
         commitPath(currentType);
         
         // Reset Simulation